@@ -0,0 +1,129 @@
+// Per-queue appointment books: the day's booked time slots, imported from CSV, which check-in turns into tickets.
+// Books are stored apart from the queue document because they hold patient names and the queue document is public.
+
+const BusinessDay = require('./business-day');
+const QueueState = require('./queue-state');
+const QueueTransfer = require('./queue-transfer');
+
+const CSV_COLUMNS = ['time', 'name', 'reference'];
+// Needed when the queue has services: the prefix (A) or name (Pharmacy) of the service booked
+const CSV_SERVICE_COLUMN = 'service';
+const MAX_APPOINTMENTS = 500;
+const MAX_NAME_LENGTH = 60;
+const REFERENCE_PATTERN = /^[A-Za-z0-9-]{1,20}$/;
+const MAX_REPORTED_ERRORS = 20;
+
+class AppointmentBook {
+    // Parse the day's appointments from CSV; resolves to { appointments, errors } where appointments is null if anything is invalid
+    static parseCsv(content, services = []) {
+        if (typeof content !== 'string' || !content.trim()) {
+            return { appointments: null, errors: ['The file is empty'] };
+        }
+
+        // Quoted cells may hold commas, as in "Smith, John"
+        const rows = QueueTransfer.parseCsvRows(content);
+        const header = (rows[0] || []).map(cell => cell.toLowerCase());
+        if (CSV_COLUMNS.some(column => !header.includes(column))) {
+            return { appointments: null, errors: [`The first row must name the columns: ${CSV_COLUMNS.join(',')}`] };
+        }
+        if (services.length > 0 && !header.includes(CSV_SERVICE_COLUMN)) {
+            return { appointments: null, errors: [`This queue has services, so the file needs a ${CSV_SERVICE_COLUMN} column`] };
+        }
+        if (rows.length - 1 > MAX_APPOINTMENTS) {
+            return { appointments: null, errors: [`A book can hold at most ${MAX_APPOINTMENTS} appointments`] };
+        }
+
+        const errors = [];
+        const references = new Set();
+        const appointments = rows.slice(1).map((cells, index) => {
+            // Row 1 is the header
+            const where = `Row ${index + 2}`;
+            const value = column => cells[header.indexOf(column)] || '';
+            const appointment = {
+                id: index + 1,
+                time: value('time'),
+                name: value('name'),
+                reference: value('reference').toUpperCase()
+            };
+
+            if (cells.length > header.length) {
+                errors.push(`${where}: has more cells than the first row; put a name with a comma in quotes ("Smith, John")`);
+            }
+            if (!BusinessDay.isValidTime(appointment.time)) {
+                errors.push(`${where}: time must be HH:MM`);
+            }
+            if (!appointment.name || appointment.name.length > MAX_NAME_LENGTH) {
+                errors.push(`${where}: name must be 1 to ${MAX_NAME_LENGTH} characters`);
+            }
+            if (!REFERENCE_PATTERN.test(appointment.reference)) {
+                errors.push(`${where}: reference must be 1 to 20 letters, numbers or hyphens`);
+            } else if (references.has(appointment.reference)) {
+                errors.push(`${where}: reference ${appointment.reference} appears more than once`);
+            }
+            references.add(appointment.reference);
+
+            if (services.length > 0) {
+                const wanted = value(CSV_SERVICE_COLUMN).toUpperCase();
+                const service = services.find(s => s.prefix === wanted || s.name.toUpperCase() === wanted);
+                if (service) {
+                    appointment.service = service.id;
+                } else {
+                    errors.push(`${where}: service must be one of ${services.map(s => s.prefix).join(', ')}`);
+                }
+            }
+            return appointment;
+        });
+
+        if (errors.length > 0) {
+            const reported = errors.slice(0, MAX_REPORTED_ERRORS);
+            if (errors.length > reported.length) {
+                reported.push(`...and ${errors.length - reported.length} more`);
+            }
+            return { appointments: null, errors: reported };
+        }
+        return { appointments: AppointmentBook.sortByTime(appointments), errors: [] };
+    }
+
+    static sortByTime(appointments) {
+        return [...appointments].sort((a, b) => a.time.localeCompare(b.time) || a.id - b.id);
+    }
+
+    // The instant of an appointment's slot on the business day containing now
+    static getSlotTime(appointment, now, timeZone) {
+        const [hour, minute] = appointment.time.split(':').map(Number);
+        const today = BusinessDay.getLocalParts(now, timeZone);
+        return BusinessDay.toInstant(today.year, today.month, today.day, hour, minute, timeZone);
+    }
+
+    // Turn an appointment into a ticket. It lines up at its slot time, or at check-in if the patient came late,
+    // so it is called before walk-ins who arrived after its slot. Marks the appointment as checked in.
+    // Throws (statusCode 404 or 409) when the appointment is unknown or was already checked in.
+    static checkIn(data, appointments, appointmentId, now, timeZone) {
+        const appointment = appointments.find(a => a.id === appointmentId);
+        if (!appointment) {
+            throw QueueState.ticketError(404, `Appointment ${appointmentId} not found`);
+        }
+        if (appointment.ticketId !== undefined) {
+            throw QueueState.ticketError(409, `Appointment ${appointment.reference} was already checked in`);
+        }
+
+        const slot = AppointmentBook.getSlotTime(appointment, now, timeZone);
+        const dueAt = new Date(Math.max(slot.getTime(), now.getTime())).toISOString();
+        const ticket = QueueState.issueTicket(data, now, appointment.service === undefined ? null : appointment.service, false, dueAt);
+        appointment.ticketId = ticket.id;
+        appointment.checkedInAt = now.toISOString();
+        return { appointment, ticket };
+    }
+
+    // The book as sent to distributors: each appointment with its slot time today
+    static describe(appointments, now, timeZone) {
+        return appointments.map(appointment => ({
+            ...appointment,
+            slotAt: AppointmentBook.getSlotTime(appointment, now, timeZone).toISOString()
+        }));
+    }
+}
+
+AppointmentBook.CSV_COLUMNS = CSV_COLUMNS;
+
+module.exports = AppointmentBook;
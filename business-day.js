@@ -0,0 +1,86 @@
+// Daily rollover times in a queue's own time zone
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+class BusinessDay {
+    // The server's own time zone, used when a queue does not name one
+    static defaultTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    static isValidTime(time) {
+        return typeof time === 'string' && TIME_PATTERN.test(time);
+    }
+
+    static isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return typeof timeZone === 'string' && timeZone.length > 0;
+        } catch {
+            return false;
+        }
+    }
+
+    // Wall-clock date and time parts of an instant in a time zone
+    static getLocalParts(date, timeZone) {
+        const parts = {};
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+        for (const part of formatter.formatToParts(date)) {
+            if (part.type !== 'literal') {
+                parts[part.type] = Number(part.value);
+            }
+        }
+        return parts;
+    }
+
+    // Milliseconds the time zone is ahead of UTC at an instant
+    static getOffset(date, timeZone) {
+        const p = BusinessDay.getLocalParts(date, timeZone);
+        const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+        return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+    }
+
+    // The instant a wall-clock time occurs in a time zone (day may overflow, Date.UTC normalizes it)
+    static toInstant(year, month, day, hour, minute, timeZone) {
+        const guess = Date.UTC(year, month - 1, day, hour, minute);
+        const first = guess - BusinessDay.getOffset(new Date(guess), timeZone);
+        // Recheck once in case the guess fell on the other side of a daylight saving change
+        const second = guess - BusinessDay.getOffset(new Date(first), timeZone);
+        return new Date(second);
+    }
+
+    // Most recent rollover at or before now
+    static previousRollover(now, time, timeZone) {
+        const [hour, minute] = time.split(':').map(Number);
+        const local = BusinessDay.getLocalParts(now, timeZone);
+        let instant = BusinessDay.toInstant(local.year, local.month, local.day, hour, minute, timeZone);
+        if (instant > now) {
+            instant = BusinessDay.toInstant(local.year, local.month, local.day - 1, hour, minute, timeZone);
+        }
+        return instant;
+    }
+
+    // First rollover after now
+    static nextRollover(now, time, timeZone) {
+        const [hour, minute] = time.split(':').map(Number);
+        const previous = BusinessDay.getLocalParts(BusinessDay.previousRollover(now, time, timeZone), timeZone);
+        return BusinessDay.toInstant(previous.year, previous.month, previous.day + 1, hour, minute, timeZone);
+    }
+
+    // Calendar date (YYYY-MM-DD) of an instant in a time zone
+    static dateOf(date, timeZone) {
+        const p = BusinessDay.getLocalParts(date, timeZone);
+        return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+    }
+}
+
+module.exports = BusinessDay;
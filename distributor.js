@@ -1,11 +1,22 @@
 // Queue management system for distributor
+
+// Most recent called tickets listed with their actions
+const MAX_CALLED_TICKETS_SHOWN = 10;
+// Appointments not yet checked in, soonest first
+const MAX_APPOINTMENTS_SHOWN = 10;
+
 class QueueManager {
     constructor() {
         this.currentQueue = 0;
         this.totalQueues = 0;
         this.callingQueue = 0;
+        this.qrTicketLabel = null; // Number on the ticket whose QR code is shown
+        this.appointments = []; // Today's appointment book, fetched from the server
+        this.appointmentsVersion = null; // Queue version the book was last fetched at
         this.backup = null;
         this.queueName = null;
+        this.counterId = null; // Counter this session calls tickets to
+        this.staffName = null; // Name recorded on the tickets this session calls and serves
         this.lastUpdated = null;
         
         // First authenticate, then initialize if valid
@@ -17,77 +28,22 @@ class QueueManager {
         try {
             console.log('🔐 Authenticating distributor access...');
             
-            // Get URL parameters
-            const urlParams = new URLSearchParams(window.location.search);
-            const queueParam = urlParams.get('queue');
-            const passwordParam = urlParams.get('password');
-            
-            console.log('📝 URL parameters:', { queue: queueParam, password: passwordParam ? 'provided' : 'missing' });
-            
-            // Check if required parameters exist
-            if (!queueParam || !passwordParam) {
-                console.log('❌ Missing required URL parameters');
-                this.redirectToLogin('Missing authentication parameters');
-                return;
-            }
-            
-            // Parse password parameter (format: storedHash_password_storedPassword)
-            const passwordParts = passwordParam.split('_');
-            if (passwordParts.length < 3) {
-                console.log('❌ Invalid password parameter format');
-                this.redirectToLogin('Invalid authentication format');
-                return;
-            }
-            
-            const storedHash = passwordParts[0];
-            const plainPassword = passwordParts[1];
-            const storedPassword = passwordParts.slice(2).join('_'); // In case stored password contains underscores
-            
-            console.log('🔍 Parsed authentication data:', {
-                queue: queueParam,
-                storedHash: storedHash,
-                plainPassword: plainPassword ? 'provided' : 'missing',
-                storedPassword: storedPassword ? 'provided' : 'missing'
-            });
-            
-            // Load authentication data from server
-            const authData = await this.loadAuthData();
+            // Ask the server which queue this browser's session belongs to
+            const response = await fetch('/api/session');
             
-            // Check if queue exists in auth data
-            if (!authData.queues || !authData.queues[queueParam]) {
-                console.log('❌ Queue not found in authentication data');
-                this.redirectToLogin('Queue not found');
+            if (!response.ok) {
+                console.log('❌ No valid session');
+                this.redirectToLogin('Session expired or not logged in');
                 return;
             }
             
-            const queueAuthData = authData.queues[queueParam];
-            console.log('📖 Queue auth data found');
-            
-            // Verify authentication parameters
-            const isValid = await this.verifyAuthentication(
-                queueParam, 
-                plainPassword, 
-                storedHash, 
-                storedPassword, 
-                queueAuthData
-            );
-            
-            if (!isValid) {
-                console.log('❌ Authentication verification failed');
-                this.redirectToLogin('Invalid authentication credentials');
-                return;
-            }
+            const session = await response.json();
             
             // Authentication successful
             console.log('✅ Authentication successful');
-            this.queueName = queueParam;
-            
-            // Update last accessed time
-            queueAuthData.lastAccessed = new Date().toISOString();
-            await this.saveAuthData(authData);
-            
-            // Set session
-            this.setSession(queueParam);
+            this.queueName = session.queueName;
+            this.counterId = session.counterId || null;
+            this.staffName = session.staffName || null;
             
             // Initialize the queue system
             await this.initializeBackup();
@@ -98,163 +54,6 @@ class QueueManager {
         }
     }
 
-    // Verify authentication parameters
-    async verifyAuthentication(queueName, plainPassword, providedHash, providedStoredPassword, queueAuthData) {
-        try {
-            console.log('🔍 Verifying authentication...');
-            
-            // Get stored data
-            const actualStoredPassword = queueAuthData.password;
-            const actualStoredHash = queueAuthData.passwordHash;
-            
-            console.log('📊 Verification data:', {
-                actualStoredHash: actualStoredHash,
-                providedHash: providedHash,
-                actualStoredPassword: actualStoredPassword ? 'exists' : 'missing',
-                providedStoredPassword: providedStoredPassword ? 'exists' : 'missing'
-            });
-            
-            // Verify hash matches
-            if (actualStoredHash !== providedHash) {
-                console.log('❌ Hash verification failed');
-                return false;
-            }
-            
-            // Verify stored password matches
-            if (actualStoredPassword !== providedStoredPassword) {
-                console.log('❌ Stored password verification failed');
-                return false;
-            }
-            
-            // Verify plain password can be decrypted and matches
-            let passwordMatches = false;
-            
-            // Try to decrypt stored password (new method)
-            if (actualStoredPassword && actualStoredPassword.startsWith('QMS_')) {
-                const decryptedPassword = this.decryptPassword(actualStoredPassword);
-                passwordMatches = (decryptedPassword === plainPassword);
-                console.log('🔓 Password decryption check:', passwordMatches ? 'passed' : 'failed');
-            }
-            // Fallback: check hash (for backward compatibility)
-            else if (actualStoredHash) {
-                passwordMatches = (this.hashPassword(plainPassword) === actualStoredHash);
-                console.log('🔐 Password hash check:', passwordMatches ? 'passed' : 'failed');
-            }
-            
-            if (!passwordMatches) {
-                console.log('❌ Password verification failed');
-                return false;
-            }
-            
-            console.log('✅ All authentication checks passed');
-            return true;
-            
-        } catch (error) {
-            console.error('❌ Error during authentication verification:', error);
-            return false;
-        }
-    }
-
-    // Simple decryption function (copied from login.js)
-    decryptPassword(encryptedPassword) {
-        try {
-            // Step 1: Remove prefix and suffix
-            let cleaned = encryptedPassword;
-            if (cleaned.startsWith('QMS_')) {
-                cleaned = cleaned.substring(4);
-            }
-            const lastUnderscore = cleaned.lastIndexOf('_');
-            if (lastUnderscore > 0) {
-                cleaned = cleaned.substring(0, lastUnderscore);
-            }
-            
-            // Step 2: Decode from Base64
-            let shifted = atob(cleaned);
-            
-            // Step 3: Reverse character shifting
-            let original = '';
-            for (let i = 0; i < shifted.length; i++) {
-                let char = shifted.charCodeAt(i);
-                original += String.fromCharCode(char - 7);
-            }
-            
-            // Step 4: Decode final Base64
-            return atob(original);
-        } catch (error) {
-            console.error('Decryption failed:', error);
-            return null;
-        }
-    }
-
-    // Hash password for additional security (copied from login.js)
-    hashPassword(password) {
-        let hash = 0;
-        for (let i = 0; i < password.length; i++) {
-            const char = password.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
-        }
-        return Math.abs(hash).toString(16);
-    }
-
-    // Load authentication data
-    async loadAuthData() {
-        try {
-            // Try to fetch from server first
-            const response = await fetch('/queue-auth.json');
-            if (response.ok) {
-                return await response.json();
-            }
-        } catch (error) {
-            console.log('Server not available, checking localStorage');
-        }
-
-        // Fallback to localStorage
-        const localData = localStorage.getItem('queueAuth');
-        if (localData) {
-            return JSON.parse(localData);
-        }
-
-        // Default structure if no data exists
-        return {
-            queues: {},
-            lastUpdated: new Date().toISOString()
-        };
-    }
-
-    // Save authentication data
-    async saveAuthData(authData) {
-        const jsonData = JSON.stringify(authData, null, 2);
-
-        // Always save to localStorage
-        localStorage.setItem('queueAuth', jsonData);
-
-        // Try to save to server
-        try {
-            await fetch('/api/save-auth', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: jsonData
-            });
-            console.log('Auth data saved to server');
-        } catch (error) {
-            console.log('Server save failed, using localStorage only');
-        }
-    }
-
-    // Set session data
-    setSession(queueName) {
-        const sessionData = {
-            queue: queueName,
-            loginTime: new Date().toISOString(),
-            hash: this.hashPassword(queueName + new Date().toDateString())
-        };
-        
-        sessionStorage.setItem('currentQueue', queueName);
-        sessionStorage.setItem('loginTime', sessionData.loginTime);
-        sessionStorage.setItem('sessionHash', sessionData.hash);
-    }
-
     // Redirect to login page with message
     redirectToLogin(reason = 'Authentication required') {
         console.log('🔄 Redirecting to login:', reason);
@@ -301,8 +100,18 @@ class QueueManager {
         try {
             console.log(`🔄 Initializing backup system for queue: ${this.queueName}`);
             this.backup = new SimpleQueueBackup(this.queueName);
+            this.backup.hasSession = true;
+            this.backup.counterId = this.counterId;
+            this.backup.staffName = this.staffName;
+            this.backup.onConflict = () => this.handleBackupConflict();
+            this.backup.onSyncStatus = status => this.updateSyncStatus(status);
+            this.backup.onSyncReport = report => this.showSyncReport(report);
             await this.backup.init();
+            this.backup.startSync();
             this.loadQueueData();
+            if (this.currentQueue > 0) {
+                this.generateQRCode();
+            }
             this.initializeEventListeners();
             this.updateDisplay();
             this.showAuthenticationStatus();
@@ -345,6 +154,52 @@ class QueueManager {
         }, 5000);
     }
 
+    // Another tab or PC changed the queue first; show the server's version instead
+    handleBackupConflict() {
+        this.loadQueueData();
+        this.updateDisplay();
+        this.showNotification('Queue was updated on another screen. Showing the latest data.', 'warning');
+    }
+
+    // Show whether the server is reachable and how many offline operations wait to be sent
+    updateSyncStatus(status) {
+        const indicator = document.getElementById('syncStatus');
+        if (!indicator) {
+            return;
+        }
+
+        const pending = status.pending > 0 ? ` - ${status.pending} change${status.pending === 1 ? '' : 's'} waiting to sync` : '';
+        const labels = {
+            online: 'Online',
+            pending: `Syncing${pending}`,
+            offline: `Offline${pending}`
+        };
+        indicator.textContent = labels[status.state];
+        indicator.className = `sync-status sync-${status.state}`;
+
+        // Reconnecting may bring changes made on other screens
+        if (status.state === 'online') {
+            this.loadQueueData();
+            this.updateDisplay();
+        }
+    }
+
+    // Tell the distributor what happened to the operations made offline
+    showSyncReport(report) {
+        this.loadQueueData();
+        this.updateDisplay();
+
+        if (report.error) {
+            this.showNotification(`Offline changes could not be sent: ${report.error}`, 'error');
+        }
+        if (report.conflicts.length > 0) {
+            alert(`The queue changed on the server while you were offline:\n\n${report.conflicts.join('\n')}`);
+            this.showNotification(`Synced with ${report.conflicts.length} conflict${report.conflicts.length === 1 ? '' : 's'}`, 'warning');
+        } else if (report.replayed > 0) {
+            this.showNotification(`Synced ${report.replayed} offline change${report.replayed === 1 ? '' : 's'}`, 'success');
+        }
+    }
+
     // Load queue data from backup
     loadQueueData() {
         if (this.backup) {
@@ -353,9 +208,6 @@ class QueueManager {
             this.totalQueues = status.totalQueues;
             this.callingQueue = status.callingQueue;
             this.lastUpdated = status.lastUpdated;
-            if (this.currentQueue > 0) {
-                this.generateQRCode();
-            }
         }
     }
 
@@ -366,17 +218,33 @@ class QueueManager {
             this.goHome();
         });
 
-        document.getElementById('newQueueBtn').addEventListener('click', () => {
-            this.generateNewQueue();
+        const newQueueBtn = document.getElementById('newQueueBtn');
+        newQueueBtn.addEventListener('click', () => {
+            this.generateNewQueue(null, newQueueBtn);
         });
         
         const callQueueBtn = document.getElementById('callQueueBtn');
         if (callQueueBtn) {
             callQueueBtn.addEventListener('click', () => {
-                this.callNextQueue();
+                const serviceValue = document.getElementById('callServiceSelect').value;
+                this.callNextQueue(serviceValue ? Number(serviceValue) : null);
             });
         }
 
+        const callNumberInput = document.getElementById('callNumberInput');
+        document.getElementById('callNumberBtn').addEventListener('click', () => {
+            this.callTicketByNumber(callNumberInput.value);
+        });
+        callNumberInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.callTicketByNumber(callNumberInput.value);
+            }
+        });
+
+        document.getElementById('reannounceBtn').addEventListener('click', () => {
+            this.reannounceCurrent();
+        });
+
         document.getElementById('resetBtn').addEventListener('click', () => {
             this.resetAllQueues();
         });
@@ -390,13 +258,483 @@ class QueueManager {
         document.getElementById('printBtn').addEventListener('click', () => {
             this.printQRCode();
         });
+
+        document.getElementById('exportJsonBtn').addEventListener('click', () => {
+            this.exportQueueData('json');
+        });
+
+        document.getElementById('exportCsvBtn').addEventListener('click', () => {
+            this.exportQueueData('csv');
+        });
+
+        const importFile = document.getElementById('importFile');
+        document.getElementById('importBtn').addEventListener('click', () => {
+            importFile.click();
+        });
+        importFile.addEventListener('change', () => {
+            if (importFile.files.length > 0) {
+                this.importQueueData(importFile.files[0]);
+            }
+            importFile.value = '';
+        });
+
+        document.getElementById('counterSelect').addEventListener('change', (e) => {
+            this.selectCounter(e.target.value ? Number(e.target.value) : null);
+        });
+
+        const staffInput = document.getElementById('staffName');
+        staffInput.value = this.staffName || '';
+        document.getElementById('saveStaffBtn').addEventListener('click', () => {
+            this.saveStaffName(staffInput.value.trim());
+        });
+
+        document.getElementById('saveCountersBtn').addEventListener('click', () => {
+            const names = document.getElementById('counterNames').value
+                .split(',')
+                .map(name => name.trim())
+                .filter(Boolean);
+            this.saveCounters(names);
+        });
+
+        document.getElementById('saveServicesBtn').addEventListener('click', () => {
+            this.saveServices(document.getElementById('serviceList').value);
+        });
+
+        const appointmentFile = document.getElementById('appointmentFile');
+        document.getElementById('importAppointmentsBtn').addEventListener('click', () => {
+            appointmentFile.click();
+        });
+        appointmentFile.addEventListener('change', () => {
+            if (appointmentFile.files.length > 0) {
+                this.importAppointments(appointmentFile.files[0]);
+            }
+            appointmentFile.value = '';
+        });
+
+        document.getElementById('appointmentList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-appointment-id]');
+            if (button) {
+                this.checkInAppointment(Number(button.dataset.appointmentId), button);
+            }
+        });
+
+        // One listener for the buttons of every called ticket, which are rebuilt on each update
+        document.getElementById('calledTickets').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) {
+                this.updateTicket(Number(button.dataset.ticketId), button.dataset.action);
+            }
+        });
+
+        document.getElementById('saveCallingPolicyBtn').addEventListener('click', () => {
+            this.saveCallingPolicy(
+                document.getElementById('callingPolicyMode').value,
+                Number(document.getElementById('regularPerPriority').value)
+            );
+        });
+
+        document.getElementById('selfServiceEnabled').addEventListener('change', (e) => {
+            this.saveSelfService(e.target.checked);
+        });
+
+        document.getElementById('printPosterBtn').addEventListener('click', () => {
+            this.printSelfServicePoster();
+        });
+
+        document.getElementById('saveRolloverBtn').addEventListener('click', () => {
+            const time = document.getElementById('rolloverTime').value;
+            if (!time) {
+                this.showNotification('Choose a time for the daily reset', 'warning');
+                return;
+            }
+            this.saveRolloverSettings(time, document.getElementById('rolloverTimeZone').value.trim());
+        });
+
+        document.getElementById('clearRolloverBtn').addEventListener('click', () => {
+            this.saveRolloverSettings(null);
+        });
+
+        this.showRolloverSettings();
+        this.showSelfServiceSettings();
+        this.showCounterSettings();
+        this.showServiceSettings();
+        this.showCallingPolicy();
+    }
+
+    // List the tickets that were called but are not finished, with the actions each one allows
+    showCalledTickets() {
+        const list = document.getElementById('calledTickets');
+        if (!list || !this.backup || !this.backup.data) {
+            return;
+        }
+
+        const statusNames = { called: 'Called', serving: 'Serving', 'no-show': 'No-show' };
+        const actionNames = { serve: 'Start Serving', complete: 'Complete Service', 'no-show': 'No-show', recall: 'Recall', requeue: 'Re-insert' };
+        const tickets = this.backup.data.queues
+            .filter(q => statusNames[q.status])
+            .sort((a, b) => b.number - a.number)
+            .slice(0, MAX_CALLED_TICKETS_SHOWN);
+
+        if (tickets.length === 0) {
+            list.innerHTML = '<li>No tickets are waiting to be finished</li>';
+            return;
+        }
+        list.innerHTML = tickets.map(ticket => {
+            const counter = ticket.counter ? ` → ${QueueState.getCounterName(this.backup.data, ticket.counter)}` : '';
+            const staff = ticket.staff ? ` (${ticket.staff})` : '';
+            const { waitMs, serviceMs } = QueueState.getDurations(ticket);
+            const times = [
+                waitMs === null ? null : `waited ${QueueState.formatDuration(waitMs)}`,
+                serviceMs === null ? null : `serving ${QueueState.formatDuration(serviceMs)}`
+            ].filter(Boolean).join(', ');
+            const buttons = Object.entries(QueueState.TICKET_ACTIONS)
+                .filter(([, transition]) => transition.from.includes(ticket.status))
+                .map(([action]) => `<button class="nav-btn" data-ticket-id="${ticket.id}" data-action="${action}">${actionNames[action]}</button>`)
+                .join('');
+            return `<li>
+                <span class="ticket-label">${QueueState.getTicketLabel(ticket)}</span>
+                <span class="ticket-status status-${ticket.status}">${statusNames[ticket.status]}${counter}${staff}</span>
+                <span class="ticket-times">${times}</span>
+                ${buttons}
+            </li>`;
+        }).join('');
+    }
+
+    // Fetch the appointment book again when the queue changed since it was last fetched
+    // (another distributor may have checked someone in)
+    async loadAppointments() {
+        const version = this.backup && this.backup.data ? this.backup.data.version : null;
+        if (!this.backup || version === this.appointmentsVersion) {
+            return;
+        }
+        this.appointmentsVersion = version;
+        try {
+            this.appointments = (await this.backup.getAppointments()).appointments;
+        } catch (error) {
+            // Offline: keep showing the last book fetched
+            console.warn('Could not load appointments:', error.message);
+            this.appointmentsVersion = null;
+        }
+        this.showAppointments();
+    }
+
+    // List the appointments still to arrive, marking those whose time has passed
+    showAppointments() {
+        const list = document.getElementById('appointmentList');
+        if (!list) {
+            return;
+        }
+
+        const upcoming = this.appointments.filter(a => a.ticketId === undefined);
+        if (upcoming.length === 0) {
+            list.innerHTML = `<li>${this.appointments.length > 0 ? 'Every booked patient has checked in' : 'No appointments booked'}</li>`;
+            return;
+        }
+        const now = Date.now();
+        list.innerHTML = upcoming.slice(0, MAX_APPOINTMENTS_SHOWN).map(appointment => {
+            const service = appointment.service !== undefined && this.backup ? QueueState.getService(this.backup.data, appointment.service) : null;
+            const late = Date.parse(appointment.slotAt) < now;
+            return `<li>
+                <span class="ticket-label">${appointment.time}</span>
+                <span>${this.escapeHtml(appointment.name)} (${appointment.reference}${service ? ` · ${service.name}` : ''})</span>
+                ${late ? '<span class="ticket-status status-no-show">Late</span>' : ''}
+                <button class="nav-btn" data-appointment-id="${appointment.id}">Check In</button>
+            </li>`;
+        }).join('') + (upcoming.length > MAX_APPOINTMENTS_SHOWN ? `<li>…and ${upcoming.length - MAX_APPOINTMENTS_SHOWN} more</li>` : '');
+    }
+
+    // Patient names come from an imported file, so keep them from being read as markup
+    escapeHtml(text) {
+        const element = document.createElement('span');
+        element.textContent = text;
+        return element.innerHTML;
+    }
+
+    // Replace the appointment book with a CSV of the day's appointments
+    async importAppointments(file) {
+        try {
+            const result = await this.backup.importAppointments(await file.text());
+            this.appointments = result.appointments;
+            this.showAppointments();
+            this.showNotification(`Imported ${result.appointments.length} appointment${result.appointments.length === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            console.error('Appointment import failed:', error);
+            if (error.errors && error.errors.length > 1) {
+                alert(`${error.message}\n\n${error.errors.join('\n')}`);
+            }
+            const details = error.errors && error.errors.length > 0 ? `: ${error.errors[0]}` : `: ${error.message}`;
+            this.showNotification(`Appointment import failed${details}`, 'error');
+        }
+    }
+
+    // Check in a booked patient: their ticket joins the line at their appointment time and its QR code is shown
+    async checkInAppointment(appointmentId, button) {
+        button.disabled = true;
+        try {
+            const result = await this.backup.checkInAppointment(appointmentId);
+            const index = this.appointments.findIndex(a => a.id === appointmentId);
+            this.appointments[index] = { ...this.appointments[index], ...result.appointment };
+            this.appointmentsVersion = this.backup.data.version;
+            this.loadQueueData();
+            this.updateDisplay();
+            this.generateQRCode(result.ticket, result.token);
+            this.showNotification(`${result.appointment.name} checked in as Queue ${QueueState.getTicketLabel(result.ticket)}`, 'success');
+        } catch (error) {
+            console.error('Check-in failed:', error);
+            button.disabled = false;
+            this.appointmentsVersion = null;
+            this.loadAppointments();
+            this.showNotification('Check-in failed: ' + error.message, 'error');
+        }
+    }
+
+    // Call one waiting ticket out of turn, typed as printed on it (A003) or as its plain number
+    async callTicketByNumber(text) {
+        const wanted = text.trim().toUpperCase();
+        if (!wanted) {
+            this.showNotification('Type the number to call', 'warning');
+            return;
+        }
+        const tickets = this.backup.data.queues;
+        const ticket = tickets.find(q => QueueState.getTicketLabel(q).toUpperCase() === wanted)
+            || tickets.find(q => String(q.number) === wanted);
+        if (!ticket) {
+            this.showNotification(`There is no queue ${wanted}`, 'warning');
+            return;
+        }
+        if (await this.updateTicket(ticket.id, 'call')) {
+            document.getElementById('callNumberInput').value = '';
+        }
+    }
+
+    // Announce the current call again so the displays flash it
+    async reannounceCurrent() {
+        const ticket = this.backup ? this.backup.getQueue(this.callingQueue) : null;
+        if (!ticket) {
+            this.showNotification('No queue has been called yet', 'info');
+            return;
+        }
+        await this.updateTicket(ticket.id, 'recall');
+    }
+
+    // Call a waiting ticket, or serve, complete, mark as no-show, recall or re-insert a called one;
+    // resolves to whether it worked
+    async updateTicket(ticketId, action) {
+        const positions = action === 'requeue' ? Number(document.getElementById('requeuePositions').value) : undefined;
+        const messages = {
+            call: label => `Calling Queue ${label}`,
+            serve: label => `Serving queue ${label}`,
+            complete: label => `Queue ${label} completed`,
+            'no-show': label => `Queue ${label} marked as no-show`,
+            recall: label => `Calling Queue ${label} again`,
+            requeue: label => `Queue ${label} will be called after ${positions} more`
+        };
+
+        try {
+            const result = await this.backup.updateTicket(ticketId, action, positions);
+            this.loadQueueData();
+            this.updateDisplay();
+            const label = QueueState.getTicketLabel(result.ticket);
+            const counterText = ['call', 'recall'].includes(action) && result.ticket.counter
+                ? ` → ${QueueState.getCounterName(this.backup.data, result.ticket.counter)}`
+                : '';
+            this.showNotification(messages[action](label) + counterText + (result.queued ? ' (offline, will sync)' : ''), result.queued ? 'warning' : 'info');
+            return true;
+        } catch (error) {
+            this.loadQueueData();
+            this.updateDisplay();
+            console.error(`Failed to ${action} ticket:`, error);
+            this.showNotification(error.message, error.status === 400 ? 'warning' : 'error');
+            return false;
+        }
+    }
+
+    // Fill the calling order controls from the queue's settings
+    showCallingPolicy() {
+        const policy = this.backup && this.backup.data && this.backup.data.callingPolicy
+            ? this.backup.data.callingPolicy
+            : QueueState.DEFAULT_CALLING_POLICY;
+        document.getElementById('callingPolicyMode').value = policy.mode;
+        document.getElementById('regularPerPriority').value = policy.regularPerPriority;
+    }
+
+    // Save the order priority and regular tickets are called in
+    async saveCallingPolicy(mode, regularPerPriority) {
+        const descriptions = {
+            fifo: 'Tickets are called in number order',
+            strict: 'Priority tickets are called first',
+            interleave: `1 priority ticket is called per ${regularPerPriority} regular`
+        };
+        try {
+            await this.backup.saveCallingPolicy(mode, regularPerPriority);
+            this.showCallingPolicy();
+            this.updateDisplay();
+            this.showNotification(descriptions[mode], 'success');
+        } catch (error) {
+            console.error('Failed to save calling policy:', error);
+            this.showNotification('Failed to save calling order: ' + error.message, 'error');
+        }
+    }
+
+    // One "New Queue" button per service, the service picker for calling and the editable list of services
+    showServiceSettings() {
+        const services = this.backup && this.backup.data ? this.backup.data.services || [] : [];
+        const container = document.getElementById('serviceButtons');
+        if (!container) {
+            return;
+        }
+
+        // Rebuilt only when the services changed, so an open picker is not disturbed
+        const signature = JSON.stringify(services);
+        if (container.dataset.services !== signature) {
+            container.dataset.services = signature;
+            container.innerHTML = '';
+            const select = document.getElementById('callServiceSelect');
+            select.innerHTML = '<option value="">All services</option>';
+
+            services.forEach(service => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-primary';
+                button.textContent = `New Queue ${service.prefix} - ${service.name}`;
+                button.addEventListener('click', () => this.generateNewQueue(service.id, button));
+                container.appendChild(button);
+
+                const option = document.createElement('option');
+                option.value = service.id;
+                option.textContent = `${service.prefix} - ${service.name}`;
+                select.appendChild(option);
+            });
+
+            // A queue with services numbers every ticket within one of them
+            document.getElementById('newQueueBtn').hidden = services.length > 0;
+            select.hidden = services.length === 0;
+            document.getElementById('serviceList').value = services.map(service => `${service.prefix} ${service.name}`).join(', ');
+        }
+
+        const waiting = document.getElementById('serviceWaiting');
+        waiting.textContent = services.map(service => {
+            const count = this.backup.data.queues.filter(q => q.service === service.id && !q.served).length;
+            return `${service.prefix} ${service.name}: ${count} waiting`;
+        }).join(' · ');
+    }
+
+    // Save the queue's services from text like "A Registration, B Pharmacy" (digits of existing prefixes are kept)
+    async saveServices(text) {
+        const existing = this.backup.data.services || [];
+        const services = text.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+            const [prefix, ...words] = entry.split(/\s+/);
+            const service = { prefix: prefix.toUpperCase(), name: words.join(' ') };
+            const current = existing.find(s => s.prefix === service.prefix);
+            return current ? { ...service, digits: current.digits } : service;
+        });
+
+        try {
+            await this.backup.saveServices(services);
+            this.showServiceSettings();
+            this.updateDisplay();
+            this.showNotification(services.length > 0 ? `Saved ${services.length} service${services.length === 1 ? '' : 's'}` : 'Services removed', 'success');
+        } catch (error) {
+            console.error('Failed to save services:', error);
+            this.showNotification('Failed to save services: ' + error.message, 'error');
+        }
+    }
+
+    // The number shown for a ticket: its service label (A001) or the plain number
+    getTicketLabel(number) {
+        const ticket = this.backup ? this.backup.getQueue(number) : null;
+        return ticket ? QueueState.getTicketLabel(ticket) : String(number);
+    }
+
+    // Fill the counter picker and the list of counter names from the queue's settings
+    showCounterSettings() {
+        const counters = this.backup && this.backup.data ? this.backup.data.counters || [] : [];
+        const select = document.getElementById('counterSelect');
+        if (!select) {
+            return;
+        }
+
+        // Rebuilt only when the counters changed, so an open picker is not disturbed
+        const signature = JSON.stringify(counters);
+        if (select.dataset.counters !== signature) {
+            select.dataset.counters = signature;
+            select.innerHTML = '<option value="">No counter</option>';
+            counters.forEach(counter => {
+                const option = document.createElement('option');
+                option.value = counter.id;
+                option.textContent = counter.name;
+                select.appendChild(option);
+            });
+            document.getElementById('counterNames').value = counters.map(counter => counter.name).join(', ');
+        }
+        select.value = this.counterId === null ? '' : String(this.counterId);
+    }
+
+    // Choose the counter this distributor calls tickets to
+    async selectCounter(counterId) {
+        try {
+            await this.backup.selectCounter(counterId);
+            this.counterId = counterId;
+            const name = counterId === null ? null : QueueState.getCounterName(this.backup.data, counterId);
+            this.showNotification(name ? `Calling to ${name}` : 'No counter selected', 'info');
+        } catch (error) {
+            console.error('Failed to choose counter:', error);
+            this.showNotification('Failed to choose counter: ' + error.message, 'error');
+        }
+        this.showCounterSettings();
+    }
+
+    // Set the name recorded on the tickets this distributor calls and serves (empty clears it)
+    async saveStaffName(name) {
+        try {
+            await this.backup.setStaffName(name || null);
+            this.staffName = this.backup.staffName;
+            this.showNotification(this.staffName ? `Signed in as ${this.staffName}` : 'Staff name cleared', 'info');
+        } catch (error) {
+            console.error('Failed to save staff name:', error);
+            this.showNotification('Failed to save staff name: ' + error.message, 'error');
+        }
+    }
+
+    // Average wait and service times of today's finished tickets
+    showDurationStats() {
+        const element = document.getElementById('durationStats');
+        if (!element || !this.backup || !this.backup.data) {
+            return;
+        }
+        const { waitMs, serviceMs } = QueueState.getAverageDurations(this.backup.data.queues);
+        const parts = [
+            waitMs === null ? null : `Average wait: ${QueueState.formatDuration(waitMs)}`,
+            serviceMs === null ? null : `Average service: ${QueueState.formatDuration(serviceMs)}`
+        ].filter(Boolean);
+        element.textContent = parts.join(' · ');
+    }
+
+    // Save the queue's counters from a list of names
+    async saveCounters(names) {
+        try {
+            await this.backup.saveCounters(names);
+            this.counterId = this.backup.counterId;
+            this.showCounterSettings();
+            this.updateDisplay();
+            this.showNotification(names.length > 0 ? `Saved ${names.length} counter${names.length === 1 ? '' : 's'}` : 'Counters removed', 'success');
+        } catch (error) {
+            console.error('Failed to save counters:', error);
+            this.showNotification('Failed to save counters: ' + error.message, 'error');
+        }
     }
 
     // Home button function (combines logout functionality)
-    goHome() {
+    async goHome() {
         if (confirm('Are you sure you want to go home? This will log you out of the current session.')) {
             console.log('🏠 User going home (logging out)...');
             
+            // Invalidate the session on the server
+            try {
+                await fetch('/api/logout', { method: 'POST' });
+            } catch (error) {
+                console.error('❌ Server logout failed:', error);
+            }
+            
             // Clear all session and authentication data
             sessionStorage.clear();
             localStorage.removeItem('queueAuth');
@@ -411,79 +749,88 @@ class QueueManager {
         }
     }
 
-    // Generate new queue number
-    async generateNewQueue() {
+    // Generate new queue number (in a service's line when serviceId is given)
+    async generateNewQueue(serviceId = null, button = document.getElementById('newQueueBtn')) {
         // Prevent multiple rapid clicks
-        const newQueueBtn = document.getElementById('newQueueBtn');
-        if (newQueueBtn.disabled) return;
+        if (button.disabled) return;
 
-        newQueueBtn.disabled = true;
-        newQueueBtn.textContent = 'Generating...';
+        const buttonText = button.textContent;
+        button.disabled = true;
+        button.textContent = 'Generating...';
 
+        const priorityCheckbox = document.getElementById('priorityTicket');
         try {
-            // Increment queue numbers
-            const newQueueNumber = this.currentQueue + 1;
-            
-            // Save to backup system first
-            if (this.backup) {
-                await this.backup.addQueue(newQueueNumber);
-                console.log(`Queue ${newQueueNumber} saved to backup for ${this.queueName}`);
-                
-                // Reload data from backup to ensure sync
-                this.loadQueueData();
-            } else {
-                // Fallback if no backup system
-                this.currentQueue = newQueueNumber;
-                this.totalQueues++;
-            }
+            // The server assigns the number so other distributors never get a duplicate
+            const result = await this.backup.issueTicket(serviceId, priorityCheckbox.checked);
+            const label = QueueState.getTicketLabel(result.ticket) + (result.ticket.priority ? ' (priority)' : '');
+            // Priority is chosen for one ticket at a time
+            priorityCheckbox.checked = false;
             
+            this.loadQueueData();
             this.updateDisplay();
             
+            // Offline tickets have no signed link until the server has issued them
+            if (result.queued) {
+                console.log(`Queue ${label} issued offline for ${this.queueName}`);
+                this.hideQRSection();
+                this.showNotification(`Queue ${label} issued offline - it will be sent to the server when the connection is back`, 'warning');
+                return;
+            }
+            console.log(`Queue ${label} issued by server for ${this.queueName}`);
+            this.generateQRCode(result.ticket, result.token);
+            
             // Show success message
-            this.showNotification(`Queue ${this.currentQueue} generated for ${this.queueName}!`, 'success');
+            this.showNotification(`Queue ${label} generated for ${this.queueName}!`, 'success');
         } catch (error) {
             console.error('Failed to generate queue:', error);
-            this.showNotification('Failed to generate queue', 'error');
+            this.loadQueueData();
+            this.updateDisplay();
+            this.showNotification(error.status === 400 ? error.message : 'Failed to generate queue', 'error');
         } finally {
             // Re-enable button
             setTimeout(() => {
-                newQueueBtn.disabled = false;
-                newQueueBtn.textContent = 'New Queue';
+                button.disabled = false;
+                button.textContent = buttonText;
             }, 500);
         }
     }
 
-    // Call next queue number
-    async callNextQueue() {
-        if (this.callingQueue >= this.currentQueue) {
-            this.showNotification('No more queues to call', 'info');
-            return;
-        }
-        this.callingQueue++;
-        this.totalQueues--;
-        if (this.backup) {
-            await this.backup.endQueue(this.callingQueue);
-            console.log(`Queue ${this.callingQueue} ended in backup`);
+    // Call next queue number (of one service, or of any when serviceId is null)
+    async callNextQueue(serviceId = null) {
+        try {
+            const result = await this.backup.callNext(serviceId);
+            const label = QueueState.getTicketLabel(result.ticket);
+            console.log(`Queue ${label} called${result.queued ? ' offline' : ' by server'}`);
+            this.loadQueueData();
+            this.updateDisplay();
+            const counterText = result.ticket.counter ? ` → ${QueueState.getCounterName(this.backup.data, result.ticket.counter)}` : '';
+            this.showNotification(`Calling Queue ${label}${counterText}${result.queued ? ' (offline, will sync)' : ''}`, result.queued ? 'warning' : 'info');
+        } catch (error) {
+            // The server's state is adopted even when nobody is waiting
+            this.loadQueueData();
+            this.updateDisplay();
+            if (error.status === 409) {
+                this.showNotification('No more queues to call', 'info');
+            } else if (error.status === 400) {
+                this.showNotification(error.message, 'warning');
+            } else {
+                console.error('Failed to call queue:', error);
+                this.showNotification('Failed to call queue', 'error');
+            }
         }
-        this.updateDisplay();
-        this.showNotification(`Calling Queue ${this.callingQueue}`, 'info');
     }
 
     // Reset all queues
     async resetAllQueues() {
         if (confirm(`Are you sure you want to reset all queues for "${this.queueName}"? This action cannot be undone.`)) {
             try {
-                if (this.backup) {
-                    await this.backup.resetQueues();
-                }
-                this.currentQueue = 0;
-                this.callingQueue = 0;
-                this.totalQueues = 0;
+                const result = await this.backup.resetQueues();
+                this.loadQueueData();
                 this.updateDisplay();
                 this.hideQRSection();
                 
                 // Show reset message
-                this.showNotification(`All queues have been reset for ${this.queueName}!`, 'info');
+                this.showNotification(`All queues have been reset for ${this.queueName}!${result.queued ? ' (offline, will sync)' : ''}`, result.queued ? 'warning' : 'info');
             } catch (error) {
                 console.error('Failed to reset queues:', error);
                 this.showNotification('Failed to reset queues', 'error');
@@ -491,6 +838,167 @@ class QueueManager {
         }
     }
     
+    // Download the queue's tickets as a JSON or CSV file
+    exportQueueData(format) {
+        const link = document.createElement('a');
+        link.href = this.backup.getExportUrl(format);
+        link.download = '';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        this.showNotification(`Exporting ${this.queueName} as ${format.toUpperCase()}`, 'info');
+    }
+
+    // Preview an export file, then replace the queue with it once confirmed
+    async importQueueData(file) {
+        const format = file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+
+        try {
+            const content = await file.text();
+            const { preview, replaces, version } = await this.backup.previewImport(format, content);
+
+            const lines = [
+                `Import "${file.name}" into "${this.queueName}"?`,
+                '',
+                `Tickets: ${preview.tickets} (${preview.waiting} waiting, ${preview.served} served${preview.cancelled ? `, ${preview.cancelled} cancelled` : ''})`,
+                `Last issued number: ${preview.currentQueue}, now calling: ${preview.callingQueue}`
+            ];
+            if (replaces && replaces.tickets > 0) {
+                lines.push('', `This replaces the current ${replaces.tickets} tickets.`);
+            }
+            if (!confirm(lines.join('\n'))) {
+                return;
+            }
+
+            const result = await this.backup.confirmImport(format, content, version);
+            this.loadQueueData();
+            this.updateDisplay();
+            this.hideQRSection();
+            this.showNotification(`Imported ${result.imported.tickets} tickets into ${this.queueName}`, 'success');
+        } catch (error) {
+            console.error('Import failed:', error);
+            this.loadQueueData();
+            this.updateDisplay();
+            const details = error.errors && error.errors.length > 0 ? `: ${error.errors[0]}` : '';
+            if (error.errors && error.errors.length > 1) {
+                alert(`${error.message}\n\n${error.errors.join('\n')}`);
+            }
+            this.showNotification(`Import failed${details || ': ' + error.message}`, 'error');
+        }
+    }
+
+    // Address of the queue's public take-number page
+    getSelfServiceUrl() {
+        return `${window.location.origin}/take-number.html?queue=${encodeURIComponent(this.queueName)}`;
+    }
+
+    // Show whether patients can take numbers themselves, with the page's link and QR code for the poster
+    showSelfServiceSettings() {
+        const enabled = Boolean(this.backup && this.backup.data && this.backup.data.selfService);
+        const url = this.getSelfServiceUrl();
+        document.getElementById('selfServiceEnabled').checked = enabled;
+
+        const link = document.getElementById('selfServiceLink');
+        link.href = url;
+        link.textContent = url;
+
+        const qrDiv = document.getElementById('selfServiceQr');
+        if (qrDiv.dataset.url !== url) {
+            qrDiv.dataset.url = url;
+            qrDiv.innerHTML = '';
+            if (typeof QRCode !== 'undefined') {
+                new QRCode(qrDiv, { text: url, width: 160, height: 160, correctLevel: QRCode.CorrectLevel.M });
+            }
+        }
+    }
+
+    // Turn the take-number page on or off
+    async saveSelfService(enabled) {
+        try {
+            await this.backup.saveSelfService(enabled);
+            this.showNotification(enabled ? 'Patients can now take numbers on their phones' : 'Take-number page turned off', 'success');
+        } catch (error) {
+            console.error('Failed to save take-number page setting:', error);
+            this.showNotification('Failed to save take-number page setting: ' + error.message, 'error');
+        }
+        this.showSelfServiceSettings();
+    }
+
+    // Print a poster for the entrance with the take-number page's QR code
+    printSelfServicePoster() {
+        if (!this.backup || !this.backup.data || !this.backup.data.selfService) {
+            this.showNotification('Turn on the take-number page before printing its poster', 'warning');
+            return;
+        }
+        const printWindow = window.open('', '_blank');
+        printWindow.document.write(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>Take a Number - ${this.queueName}</title>
+                <style>
+                    body { font-family: Arial, sans-serif; text-align: center; padding: 40px; }
+                    h1 { font-size: 36px; margin-bottom: 10px; }
+                    p { font-size: 20px; color: #333; }
+                    img, canvas { width: 320px; height: 320px; margin: 30px auto; display: block; }
+                    .url { font-size: 14px; color: #666; word-break: break-all; }
+                </style>
+            </head>
+            <body>
+                <h1>${this.queueName}</h1>
+                <p>Scan to take a queue number and follow it on your phone</p>
+                ${document.getElementById('selfServiceQr').innerHTML}
+                <p class="url">${this.getSelfServiceUrl()}</p>
+            </body>
+            </html>
+        `);
+        printWindow.document.close();
+        printWindow.focus();
+
+        // Wait a moment for the QR image to load, then print
+        setTimeout(() => {
+            printWindow.print();
+            printWindow.close();
+        }, 1000);
+    }
+
+    // Fill the daily reset form from the queue's settings
+    showRolloverSettings() {
+        const rollover = this.backup && this.backup.data ? this.backup.data.rollover : null;
+        document.getElementById('rolloverTime').value = rollover ? rollover.time : '';
+        document.getElementById('rolloverTimeZone').value = rollover
+            ? rollover.timeZone
+            : Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+        this.updateNextResetInfo();
+    }
+
+    // Show when the server will next reset the queue automatically
+    updateNextResetInfo() {
+        const info = document.getElementById('nextResetInfo');
+        const rollover = this.backup && this.backup.data ? this.backup.data.rollover : null;
+        if (!info) {
+            return;
+        }
+        if (!rollover || !rollover.nextRolloverAt) {
+            info.textContent = 'Automatic daily reset is off';
+            return;
+        }
+        const next = new Date(rollover.nextRolloverAt);
+        info.textContent = `Next automatic reset: ${next.toLocaleString()} (daily at ${rollover.time} ${rollover.timeZone})`;
+    }
+
+    // Save (or turn off with null) the daily reset time
+    async saveRolloverSettings(time, timeZone) {
+        try {
+            await this.backup.saveRolloverSettings(time, timeZone || undefined);
+            this.showRolloverSettings();
+            this.showNotification(time ? `Queue will reset daily at ${time}` : 'Automatic daily reset turned off', 'success');
+        } catch (error) {
+            console.error('Failed to save daily reset settings:', error);
+            this.showNotification('Failed to save daily reset: ' + error.message, 'error');
+        }
+    }
+
     // Delete current queue and associated data
     async deleteCurrentQueue() {
         if (confirm(`Are you sure you want to delete queue "${this.queueName}"? This will remove it from the system and log you out.`)) {
@@ -615,35 +1123,81 @@ class QueueManager {
             queueNameElement.textContent = this.queueName;
         }
         
-        document.getElementById('currentQueue').textContent = this.currentQueue;
+        document.getElementById('currentQueue').textContent = this.getTicketLabel(this.currentQueue);
         document.getElementById('totalQueues').textContent = this.totalQueues;
         
         const callingQueueElement = document.getElementById('callingQueue');
         if (callingQueueElement) {
-            callingQueueElement.textContent = this.callingQueue;
+            callingQueueElement.textContent = this.getTicketLabel(this.callingQueue);
+        }
+
+        // Which counter the current call went to
+        const callingCounterElement = document.getElementById('callingCounter');
+        if (callingCounterElement) {
+            const calledTicket = this.backup ? this.backup.getQueue(this.callingQueue) : null;
+            callingCounterElement.textContent = calledTicket && calledTicket.counter
+                ? `→ ${QueueState.getCounterName(this.backup.data, calledTicket.counter)}`
+                : '';
         }
+        this.showCounterSettings();
+        this.showServiceSettings();
+        this.showSelfServiceSettings();
+        this.showCalledTickets();
+        this.showDurationStats();
+        this.loadAppointments();
+
+        this.updateNextResetInfo();
+    }
+
+    // Request a signed ticket link from the server
+    async fetchTicketToken(ticketId) {
+        const response = await fetch(`/api/queues/${encodeURIComponent(this.queueName)}/tickets/${encodeURIComponent(ticketId)}/token`, {
+            method: 'POST'
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `Ticket token request failed with status ${response.status}`);
+        }
+        return result.token;
     }
 
-    // Generate QR code
-    generateQRCode() {
+    // Generate QR code (for the latest ticket unless one is given with its token)
+    async generateQRCode(ticket = null, token = null) {
         const qrSection = document.getElementById('qrSection');
         const qrCodeDiv = document.getElementById('qrcode');
         const linkDiv = document.getElementById('link');
         
+        ticket = ticket || (this.backup ? this.backup.getQueue(this.currentQueue) : null);
+        if (!ticket) {
+            console.warn(`No ticket found for queue ${this.currentQueue}, skipping QR code`);
+            return;
+        }
+        
+        if (!token) {
+            try {
+                token = await this.fetchTicketToken(ticket.id);
+            } catch (error) {
+                console.error('Failed to get ticket token:', error);
+                this.showNotification('Could not create ticket link: ' + error.message, 'error');
+                return;
+            }
+        }
+        
         // Display link for manual access
-        this.displayUrl = window.location.origin + '/queue-display.html?queue=' + this.encryptUnicode(this.queueName) + '&number=' + this.encryptUnicode(this.currentQueue);
+        this.displayUrl = window.location.origin + '/queue-display.html?ticket=' + encodeURIComponent(token);
         linkDiv.innerHTML = `<a href="${this.displayUrl}" target="_blank" style="word-break: break-all;">QR Code</a>`;
 
         // Clear previous QR code
         qrCodeDiv.innerHTML = '';
         
-        // Create QR code data
+        // Create QR code data (the QR code itself carries only the signed link)
         const qrData = {
-            queueNumber: this.currentQueue,
-            timestamp: this.lastUpdated,
-            url: window.location.origin + '/queue-display.html?queue=' + this.encryptUnicode(this.queueName) + '&number=' + this.encryptUnicode(this.currentQueue),
+            queueNumber: QueueState.getTicketLabel(ticket),
+            timestamp: ticket.timestamp,
+            url: this.displayUrl
         };
-        console.log('Generating QR code with data:', qrData);
+        this.qrTicketLabel = qrData.queueNumber;
+        console.log('Generating QR code for queue:', qrData.queueNumber);
         // Check if QRCode library is available
         if (typeof QRCode === 'undefined') {
             console.warn('QRCode library not loaded, using fallback');
@@ -655,7 +1209,7 @@ class QueueManager {
         try {
             // qrcodejs library usage - creates QR code as DOM element
             const qr = new QRCode(qrCodeDiv, {
-                text: JSON.stringify(qrData),
+                text: qrData.url,
                 width: 256,
                 height: 256,
                 colorDark: "#000000",
@@ -673,25 +1227,6 @@ class QueueManager {
         }
     }
 
-    encryptUnicode(str) {
-        const SECRET_KEY = 129;
-        const encoder = new TextEncoder();
-        const bytes = encoder.encode(str); // UTF-8 bytes
-        const encrypted = bytes.map(b => b ^ SECRET_KEY); // XOR each byte
-        // convert to Base64 (shorter than hex)
-        let binary = String.fromCharCode(...encrypted);
-        return btoa(binary);
-    }
-
-    decryptUnicode(enc) {
-        const SECRET_KEY = 129;
-        let binary = atob(enc);
-        const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
-        const decrypted = bytes.map(b => b ^ SECRET_KEY);
-        const decoder = new TextDecoder();
-        return decoder.decode(decrypted);
-    }
-
     // Create fallback QR code when library fails
     createFallbackQRCode(container, qrData) {
         container.innerHTML = `
@@ -739,7 +1274,7 @@ class QueueManager {
             <!DOCTYPE html>
             <html>
             <head>
-                <title>Queue QR Code - ${this.queueName} #${this.currentQueue}</title>
+                <title>Queue QR Code - ${this.queueName} #${this.qrTicketLabel}</title>
                 <style>
                     body {
                         font-family: Arial, sans-serif;
@@ -833,7 +1368,7 @@ class QueueManager {
                     <p>Queue: ${this.queueName} | Date: ${currentDate} | Time: ${currentTime}</p>
                 </div>
                 <div class="queue-info">
-                    <h2>Queue Number: ${this.currentQueue}</h2>
+                    <h2>Queue Number: ${this.qrTicketLabel}</h2>
                 </div>
                 <div class="qr-title">QR Code</div>
                 <div class="qr-container">
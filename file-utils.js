@@ -0,0 +1,26 @@
+// File helpers shared by the server and the JSON storage adapter
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+// Write a file atomically: write a temp file, flush it to disk, then rename over the target.
+// Readers (and a crash mid-write) only ever see the old or the new content.
+async function writeFileAtomic(filePath, content, options = {}) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const handle = await fs.open(tempPath, 'w', options.mode);
+    try {
+        await handle.writeFile(content);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    try {
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+module.exports = { writeFileAtomic };
@@ -0,0 +1,449 @@
+// JSON file storage: queue-auth.json, one backup file, one appointment book and one JSONL journal per queue,
+// with rolling snapshots and startup recovery of files a crash left unreadable
+
+const fs = require('fs').promises;
+const path = require('path');
+const QueueState = require('./queue-state');
+const QueueSchema = require('./queue-schema');
+const { writeFileAtomic } = require('./file-utils');
+
+class JsonStorage {
+    constructor(options = {}) {
+        this.authFile = options.authFile || 'queue-auth.json';
+        this.backupDir = options.backupDir || 'queue-backups';
+        this.journalDir = options.journalDir || 'queue-journals';
+        this.historyDir = options.historyDir || 'queue-history';
+        this.appointmentDir = options.appointmentDir || 'queue-appointments';
+
+        // Rolling timestamped snapshots of the auth file and every queue backup
+        this.snapshotDir = options.snapshotDir || 'queue-snapshots';
+        this.snapshotRetention = options.snapshotRetention || 10;
+        this.authDirty = false;
+        this.dirtyQueues = new Set();
+
+        // Credential updates rewrite the whole auth file, so run them one at a time
+        this.authWrites = Promise.resolve();
+    }
+
+    // Create directories, repair damaged files and upgrade old ones before anything reads them
+    async init() {
+        await fs.mkdir(this.backupDir, { recursive: true });
+        await fs.mkdir(this.journalDir, { recursive: true });
+        await fs.mkdir(this.historyDir, { recursive: true });
+        await fs.mkdir(this.appointmentDir, { recursive: true });
+        await this.recoverFromSnapshots();
+        await this.upgradeStoredDocuments();
+    }
+
+    // Rewrite files saved under an older schema version in the current one
+    async upgradeStoredDocuments() {
+        const authContent = await fs.readFile(this.authFile, 'utf8').catch(() => null);
+        if (authContent !== null && QueueSchema.upgradeAuth(JSON.parse(authContent)).migrated) {
+            await this.updateAuthDocument(() => {});
+            console.log(`⬆️ Upgraded ${this.authFile} to schema version ${QueueSchema.AUTH_SCHEMA_VERSION}`);
+        }
+
+        for (const queueName of await this.listQueues()) {
+            try {
+                const backup = JSON.parse(await fs.readFile(this.getBackupPath(queueName), 'utf8'));
+                const { data, migrated } = QueueSchema.upgradeQueue(queueName, backup.data);
+                if (migrated) {
+                    await this.saveQueue(queueName, data);
+                    console.log(`⬆️ Upgraded queue "${queueName}" to schema version ${data.schemaVersion}`);
+                }
+            } catch (error) {
+                console.error(`❌ Queue "${queueName}" could not be upgraded: ${error.message}`);
+            }
+        }
+    }
+
+    // Capture the latest state before exiting
+    async close() {
+        await this.takeSnapshots();
+    }
+
+    describe() {
+        return [
+            `💾 Auth file: ${this.authFile}`,
+            `📂 Backup directory: ${this.backupDir}`,
+            `📜 Journal directory: ${this.journalDir}`,
+            `🗓️ History directory: ${this.historyDir}`,
+            `📅 Appointment directory: ${this.appointmentDir}`
+        ];
+    }
+
+    getBackupPath(queueName) {
+        return path.join(this.backupDir, `queue-backup-${queueName}.json`);
+    }
+
+    getJournalPath(queueName) {
+        return path.join(this.journalDir, `queue-journal-${queueName}.jsonl`);
+    }
+
+    getHistoryPath(queueName) {
+        return path.join(this.historyDir, `queue-history-${queueName}.jsonl`);
+    }
+
+    getAppointmentPath(queueName) {
+        return path.join(this.appointmentDir, `queue-appointments-${queueName}.json`);
+    }
+
+    // ===== Credentials =====
+
+    // Read the auth file in the current schema, or an empty store if there is no file yet.
+    // An unreadable file is an error, never an empty store that the next write would save over it.
+    async readAuthDocument() {
+        let content;
+        try {
+            content = await fs.readFile(this.authFile, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { schemaVersion: QueueSchema.AUTH_SCHEMA_VERSION, queues: {}, lastUpdated: new Date().toISOString() };
+            }
+            throw error;
+        }
+        return QueueSchema.upgradeAuth(JSON.parse(content)).authData;
+    }
+
+    // Apply a change to the auth file under the write lock
+    async updateAuthDocument(update) {
+        const run = this.authWrites.then(async () => {
+            const authData = await this.readAuthDocument();
+            const result = update(authData);
+            authData.lastUpdated = new Date().toISOString();
+
+            if (Object.keys(authData.queues).length === 0) {
+                // No queues left, delete the entire file
+                await fs.unlink(this.authFile).catch(() => {});
+                console.log('🗑️ No queues remaining, auth file deleted');
+            } else {
+                await writeFileAtomic(this.authFile, JSON.stringify(authData, null, 2));
+                this.authDirty = true;
+            }
+            return result;
+        });
+        this.authWrites = run.catch(() => {});
+        return run;
+    }
+
+    // All credentials as { queueName: entry }
+    async listCredentials() {
+        return (await this.readAuthDocument()).queues;
+    }
+
+    async getCredential(queueName) {
+        return (await this.readAuthDocument()).queues[queueName] || null;
+    }
+
+    async putCredential(queueName, entry) {
+        QueueSchema.assertValid(`Credentials for "${queueName}"`, QueueSchema.validateCredential(entry));
+        await this.updateAuthDocument(authData => {
+            authData.queues[queueName] = entry;
+        });
+    }
+
+    // Remove a queue's credentials; resolves to false if it had none
+    async deleteCredential(queueName) {
+        const exists = await this.getCredential(queueName);
+        if (!exists) {
+            return false;
+        }
+        return this.updateAuthDocument(authData => {
+            const existed = Boolean(authData.queues[queueName]);
+            delete authData.queues[queueName];
+            return existed;
+        });
+    }
+
+    // ===== Queues and tickets =====
+
+    // Names of every queue that has stored data
+    async listQueues() {
+        try {
+            const files = await fs.readdir(this.backupDir);
+            return files
+                .map(file => file.match(/^queue-backup-(.+)\.json$/))
+                .filter(Boolean)
+                .map(match => match[1]);
+        } catch {
+            return [];
+        }
+    }
+
+    // Read a queue's document in the current schema, or null if it has none (unreadable files are errors)
+    async loadQueue(queueName) {
+        let content;
+        try {
+            content = await fs.readFile(this.getBackupPath(queueName), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+        const backup = JSON.parse(content);
+        return backup.data ? QueueSchema.upgradeQueue(queueName, backup.data).data : null;
+    }
+
+    // Write a queue's document (upgraded to the current schema, rejected if invalid); resolves to what was stored
+    async saveQueue(queueName, data) {
+        const { data: stored } = QueueSchema.upgradeQueue(queueName, data);
+        const backupData = { queueName, data: stored };
+        await writeFileAtomic(this.getBackupPath(queueName), JSON.stringify(backupData, null, 2));
+        this.dirtyQueues.add(queueName);
+        return stored;
+    }
+
+    // Delete a queue's document, appointment book and snapshots (its journal is kept); resolves to false if it had no document
+    async deleteQueue(queueName) {
+        await fs.unlink(this.getAppointmentPath(queueName)).catch(() => {});
+        try {
+            await fs.unlink(this.getBackupPath(queueName));
+        } catch {
+            return false;
+        }
+        this.dirtyQueues.delete(queueName);
+        await this.deleteQueueSnapshots(queueName);
+        return true;
+    }
+
+    // Find a ticket in a queue's document by id
+    async findTicket(queueName, ticketId) {
+        const data = await this.loadQueue(queueName);
+        const queues = data && Array.isArray(data.queues) ? data.queues : [];
+        return queues.find(q => String(q.id) === String(ticketId)) || null;
+    }
+
+    // ===== Events =====
+
+    async appendEvent(queueName, event) {
+        await fs.appendFile(this.getJournalPath(queueName), JSON.stringify(event) + '\n');
+    }
+
+    // Names of every queue that has a journal, including deleted queues
+    async listJournaledQueues() {
+        try {
+            const files = await fs.readdir(this.journalDir);
+            return files
+                .map(file => file.match(/^queue-journal-(.+)\.jsonl$/))
+                .filter(Boolean)
+                .map(match => match[1]);
+        } catch {
+            return [];
+        }
+    }
+
+    // Read a queue's journal in order
+    async readEvents(queueName) {
+        return this.readJsonLines(this.getJournalPath(queueName), `journal line for "${queueName}"`);
+    }
+
+    // Read a JSONL file in order, skipping a line torn by a crash mid-append
+    async readJsonLines(filePath, description) {
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf8');
+        } catch {
+            return [];
+        }
+
+        const entries = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                entries.push(JSON.parse(line));
+            } catch {
+                console.warn(`⚠️ Skipping unreadable ${description}`);
+            }
+        }
+        return entries;
+    }
+
+    // ===== Appointment books =====
+
+    // A queue's appointments, or an empty list if it has no book
+    async loadAppointments(queueName) {
+        try {
+            return JSON.parse(await fs.readFile(this.getAppointmentPath(queueName), 'utf8')).appointments;
+        } catch {
+            return [];
+        }
+    }
+
+    async saveAppointments(queueName, appointments) {
+        await writeFileAtomic(this.getAppointmentPath(queueName), JSON.stringify({ queueName, appointments }, null, 2));
+    }
+
+    // ===== Daily history =====
+
+    // Append one closed business day ({ businessDay, closedAt, ... }) to a queue's history
+    async appendHistory(queueName, entry) {
+        await fs.appendFile(this.getHistoryPath(queueName), JSON.stringify(entry) + '\n');
+    }
+
+    // A queue's closed business days, oldest first
+    async readHistory(queueName) {
+        return this.readJsonLines(this.getHistoryPath(queueName), `history line for "${queueName}"`);
+    }
+
+    // ===== Snapshots and recovery =====
+
+    getAuthSnapshotDir() {
+        return path.join(this.snapshotDir, 'auth');
+    }
+
+    getQueueSnapshotDir(queueName) {
+        return path.join(this.snapshotDir, 'queues', queueName);
+    }
+
+    // Snapshot every file that changed since the last run.
+    // withQueueLock keeps a snapshot from reading a queue file mid-update.
+    async takeSnapshots(withQueueLock = (queueName, task) => task()) {
+        if (this.authDirty) {
+            this.authDirty = false;
+            try {
+                const content = await fs.readFile(this.authFile, 'utf8');
+                await this.writeSnapshot(this.getAuthSnapshotDir(), 'queue-auth', content);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        }
+
+        const queueNames = [...this.dirtyQueues];
+        this.dirtyQueues.clear();
+        for (const queueName of queueNames) {
+            await withQueueLock(queueName, async () => {
+                try {
+                    const content = await fs.readFile(this.getBackupPath(queueName), 'utf8');
+                    await this.writeSnapshot(this.getQueueSnapshotDir(queueName), `queue-backup-${queueName}`, content);
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        throw error;
+                    }
+                }
+            });
+        }
+        return queueNames.length;
+    }
+
+    // Write one timestamped snapshot and drop the oldest beyond the retention limit
+    async writeSnapshot(dir, prefix, content) {
+        await fs.mkdir(dir, { recursive: true });
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        await writeFileAtomic(path.join(dir, `${prefix}-${timestamp}.json`), content);
+
+        const snapshots = await this.listSnapshots(dir);
+        for (const oldSnapshot of snapshots.slice(this.snapshotRetention)) {
+            await fs.unlink(path.join(dir, oldSnapshot));
+        }
+    }
+
+    // List snapshot files in a directory, newest first
+    async listSnapshots(dir) {
+        try {
+            const files = await fs.readdir(dir);
+            return files.filter(file => file.endsWith('.json')).sort().reverse();
+        } catch {
+            return [];
+        }
+    }
+
+    // Delete every snapshot of a queue
+    async deleteQueueSnapshots(queueName) {
+        const dir = this.getQueueSnapshotDir(queueName);
+        if (fs.rm) {
+            await fs.rm(dir, { recursive: true, force: true });
+            return;
+        }
+        // Node before 14.14 has no fs.rm, only a recursive rmdir
+        try {
+            await fs.rmdir(dir, { recursive: true });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    // Replace any unparseable primary file with its newest valid snapshot
+    async recoverFromSnapshots() {
+        await this.removeStaleTempFiles('.');
+        await this.removeStaleTempFiles(this.backupDir);
+
+        await this.recoverFile(this.authFile, this.getAuthSnapshotDir(), content => QueueSchema.upgradeAuth(JSON.parse(content)));
+
+        for (const queueName of await this.listQueues()) {
+            const check = content => QueueSchema.upgradeQueue(queueName, JSON.parse(content).data);
+            if (!(await this.recoverFile(this.getBackupPath(queueName), this.getQueueSnapshotDir(queueName), check))) {
+                await this.recoverQueueFromJournal(queueName);
+            }
+        }
+    }
+
+    // Remove temp files left behind by writes that were interrupted
+    async removeStaleTempFiles(dir) {
+        try {
+            const files = await fs.readdir(dir);
+            for (const file of files.filter(f => f.startsWith('queue-') && f.endsWith('.tmp'))) {
+                await fs.unlink(path.join(dir, file));
+                console.log(`🧽 Removed interrupted write: ${path.join(dir, file)}`);
+            }
+        } catch {
+            // Directory does not exist yet
+        }
+    }
+
+    // Restore one file from its newest snapshot that passes check, if the file itself does not.
+    // Returns false only when the file was corrupt and no snapshot could replace it.
+    async recoverFile(filePath, snapshotDir, check = JSON.parse) {
+        let content;
+        try {
+            content = await fs.readFile(filePath, 'utf8');
+        } catch {
+            return true; // Nothing to recover
+        }
+
+        try {
+            check(content);
+            return true;
+        } catch (error) {
+            console.error(`❌ ${filePath} is corrupt (${error.message}), looking for a snapshot to recover from`);
+        }
+
+        // Keep the damaged file for inspection
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        await fs.rename(filePath, `${filePath}.corrupt-${timestamp}`);
+
+        for (const snapshot of await this.listSnapshots(snapshotDir)) {
+            try {
+                const snapshotContent = await fs.readFile(path.join(snapshotDir, snapshot), 'utf8');
+                check(snapshotContent);
+                await writeFileAtomic(filePath, snapshotContent);
+                console.log(`✅ Recovered ${filePath} from snapshot ${snapshot}`);
+                return true;
+            } catch {
+                console.warn(`⚠️ Snapshot ${snapshot} is unreadable, trying an older one`);
+            }
+        }
+
+        console.error(`❌ No valid snapshot found for ${filePath}; the damaged copy was kept as ${filePath}.corrupt-${timestamp}`);
+        return false;
+    }
+
+    // Rebuild a queue's backup file from its journal when nothing else is left
+    async recoverQueueFromJournal(queueName) {
+        const events = await this.readEvents(queueName);
+        if (events.length === 0) {
+            return;
+        }
+
+        await this.saveQueue(queueName, QueueState.replay(queueName, events));
+        console.log(`✅ Rebuilt "${queueName}" from ${events.length} journal event(s)`);
+    }
+}
+
+module.exports = JsonStorage;
@@ -0,0 +1,66 @@
+// One-shot migration of queue-auth.json, queue-backups/, queue-appointments/, queue-journals/ and queue-history/ into an SQLite database.
+// Usage: node migrate-to-sqlite.js [database file]   (default: queue-data.sqlite)
+// Afterwards start the server with QMS_STORAGE=sqlite.
+
+const JsonStorage = require('./json-storage');
+const SqliteStorage = require('./sqlite-storage');
+
+async function migrate(sqliteFile) {
+    const source = new JsonStorage();
+    const target = new SqliteStorage({ sqliteFile });
+
+    await source.init();
+    await target.init();
+
+    try {
+        const existing = (await target.listQueues()).length + Object.keys(await target.listCredentials()).length;
+        if (existing > 0) {
+            throw new Error(`${target.filename} already contains data; migrate into a new database file`);
+        }
+
+        const credentials = await source.listCredentials();
+        for (const [queueName, entry] of Object.entries(credentials)) {
+            await target.putCredential(queueName, entry);
+        }
+        console.log(`🔑 Migrated credentials for ${Object.keys(credentials).length} queue(s)`);
+
+        // Journals of deleted queues are kept too, so include every queue that has any data
+        const queueNames = new Set([
+            ...Object.keys(credentials),
+            ...await source.listQueues(),
+            ...await source.listJournaledQueues()
+        ]);
+        for (const queueName of queueNames) {
+            const data = await source.loadQueue(queueName);
+            if (data) {
+                await target.saveQueue(queueName, data);
+            }
+
+            const appointments = await source.loadAppointments(queueName);
+            if (appointments.length > 0) {
+                await target.saveAppointments(queueName, appointments);
+            }
+
+            const events = await source.readEvents(queueName);
+            for (const event of events) {
+                await target.appendEvent(queueName, event);
+            }
+
+            const history = await source.readHistory(queueName);
+            for (const entry of history) {
+                await target.appendHistory(queueName, entry);
+            }
+            console.log(`📦 Migrated "${queueName}": ${data ? data.queues.length : 0} ticket(s), ${appointments.length} appointment(s), ${events.length} event(s), ${history.length} day(s) of history`);
+        }
+
+        console.log(`✅ Migration complete: ${target.filename}`);
+        console.log('   Start the server with QMS_STORAGE=sqlite to use it. The JSON files were left untouched.');
+    } finally {
+        await target.close();
+    }
+}
+
+migrate(process.argv[2] || process.env.QMS_SQLITE_FILE).catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,65 @@
+// IndexedDB outbox of distributor operations made while the server could not be reached.
+// Operations are kept in the order they were made and removed once the server has answered them.
+class OfflineOutbox {
+    constructor(dbName = 'qms-outbox') {
+        this.dbName = dbName;
+        this.storeName = 'operations';
+        this.dbPromise = null;
+    }
+
+    // Open (and on first use create) the database
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('queueName', 'queueName');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run one request in a transaction and resolve with its result once the transaction commits
+    async run(mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = work(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Store an operation; resolves to its id
+    add(operation) {
+        return this.run('readwrite', store => store.add(operation));
+    }
+
+    // A queue's pending operations, oldest first
+    list(queueName) {
+        return this.run('readonly', store => store.index('queueName').getAll(queueName));
+    }
+
+    count(queueName) {
+        return this.run('readonly', store => store.index('queueName').count(queueName));
+    }
+
+    remove(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OfflineOutbox;
+} else {
+    window.OfflineOutbox = OfflineOutbox;
+}
@@ -0,0 +1,101 @@
+// Compressed bundles of queues removed by the inactivity cleanup.
+// Each bundle holds the queue's tickets, its credentials entry and its journal so it can be restored.
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { writeFileAtomic } = require('./file-utils');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ARCHIVE_FORMAT = 'qms-queue-archive';
+const FILE_PATTERN = /^queue-archive-(.+)\.json\.gz$/;
+
+class QueueArchive {
+    constructor(options = {}) {
+        this.archiveDir = options.archiveDir || 'queue-archives';
+    }
+
+    async init() {
+        await fs.mkdir(this.archiveDir, { recursive: true });
+    }
+
+    // Archive ids are the bundle file names without prefix and extension
+    getArchivePath(archiveId) {
+        return path.join(this.archiveDir, `queue-archive-${archiveId}.json.gz`);
+    }
+
+    // Write a bundle and resolve to its id
+    async write(queueName, reason, { credential, data, events }) {
+        const archivedAt = new Date().toISOString();
+        const archiveId = `${queueName}-${archivedAt.replace(/[:.]/g, '-')}`;
+        const bundle = {
+            format: ARCHIVE_FORMAT,
+            archiveVersion: 1,
+            queueName,
+            archivedAt,
+            reason,
+            credential,
+            data,
+            events
+        };
+
+        await writeFileAtomic(this.getArchivePath(archiveId), await gzip(JSON.stringify(bundle)));
+        return archiveId;
+    }
+
+    // Read a bundle, or null if there is no archive with that id
+    async read(archiveId) {
+        if (typeof archiveId !== 'string' || path.basename(archiveId) !== archiveId || archiveId.startsWith('.')) {
+            return null;
+        }
+        try {
+            const bundle = JSON.parse((await gunzip(await fs.readFile(this.getArchivePath(archiveId)))).toString('utf8'));
+            return bundle.format === ARCHIVE_FORMAT ? bundle : null;
+        } catch {
+            return null;
+        }
+    }
+
+    async remove(archiveId) {
+        await fs.unlink(this.getArchivePath(archiveId));
+    }
+
+    // Summaries of every archive, newest first (credentials are never included)
+    async list() {
+        let files = [];
+        try {
+            files = await fs.readdir(this.archiveDir);
+        } catch {
+            return [];
+        }
+
+        const summaries = [];
+        for (const file of files) {
+            const match = file.match(FILE_PATTERN);
+            const bundle = match ? await this.read(match[1]) : null;
+            if (bundle) {
+                summaries.push({
+                    archiveId: match[1],
+                    queueName: bundle.queueName,
+                    archivedAt: bundle.archivedAt,
+                    reason: bundle.reason,
+                    lastAccessed: bundle.credential ? bundle.credential.lastAccessed : null,
+                    tickets: bundle.data ? bundle.data.queues.length : 0,
+                    restorable: Boolean(bundle.credential)
+                });
+            }
+        }
+        return summaries.sort((a, b) => b.archivedAt.localeCompare(a.archivedAt));
+    }
+
+    // Newest archive of a queue that can be restored, or null
+    async findLatest(queueName) {
+        const summary = (await this.list()).find(item => item.queueName === queueName && item.restorable);
+        return summary || null;
+    }
+}
+
+module.exports = QueueArchive;
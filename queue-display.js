@@ -1,4 +1,8 @@
 // Queue display system for patients
+
+// Earlier calls listed under the current one
+const RECENT_CALLS_SHOWN = 5;
+
 class QueueDisplay {
     constructor() {
         this.currentQueue = 0;
@@ -7,10 +11,28 @@ class QueueDisplay {
         this.backup = null;
         this.queueName = null;
         this.userQueueNumber = null;
+        this.userQueueLabel = null; // Number printed on the patient's ticket (A001 when the queue has services)
+        this.callingQueueLabel = null;
+        this.userQueuesAhead = 0; // Counted under the queue's calling policy
+        this.userQueuePriority = false;
+        this.userQueueStatus = 'waiting'; // waiting, called, serving, completed, no-show or cancelled
+        this.ticketId = null;
+        this.ticketToken = null;
         this.authenticated = false;
         this.lastCalledTime = null;
+        this.flashCall = false; // Set when lastCalled changes, so the number flashes for a new or repeated call
+        this.recentCalls = [];
         this.userQueueTimestamp = null; // Add this property to track user's queue creation time
-        this.userQueueServedStatus = false;
+        this.userTicket = null; // The patient's own ticket, with the times it reached each stage
+        this.callingCounterName = null; // Counter the current call went to, if the queue has counters
+        this.userCounterName = null; // Counter the patient's own ticket was called to
+        this.stale = false; // Showing a cached copy because the server was unreachable
+        this.lastSynced = null;
+        this.eventSource = null; // Live updates from the server (Server-Sent Events)
+        this.liveUpdatesConnected = false;
+        this.eventReconnectTimer = null;
+        this.eventReconnectDelay = 5000;
+        this.refreshInterval = null;
         
         // First authenticate, then initialize if valid
         this.authenticateAccess();
@@ -21,52 +43,39 @@ class QueueDisplay {
         try {
             console.log('🔐 Authenticating queue display access...');
             
-            // Get URL parameters
+            // Get the signed ticket token from the URL
             const urlParams = new URLSearchParams(window.location.search);
-            const encryptedQueue = urlParams.get('queue');
-            const encryptedNumber = urlParams.get('number');
+            const ticketToken = urlParams.get('ticket');
             
-            console.log('📝 URL parameters:', { 
-                queue: encryptedQueue ? 'provided' : 'missing', 
-                number: encryptedNumber ? 'provided' : 'missing' 
-            });
+            console.log('📝 URL parameters:', { ticket: ticketToken ? 'provided' : 'missing' });
             
             // Check if required parameters exist
-            if (!encryptedQueue || !encryptedNumber) {
-                console.log('❌ Missing required URL parameters');
+            if (!ticketToken) {
+                console.log('❌ Missing ticket parameter');
                 this.redirectToHome('Missing queue parameters');
                 return;
             }
             
-            // Decrypt parameters
-            try {
-                this.queueName = this.decryptUnicode(encryptedQueue);
-                this.userQueueNumber = parseInt(this.decryptUnicode(encryptedNumber));
-                
-                console.log('🔓 Decrypted parameters:', {
-                    queueName: this.queueName,
-                    userQueueNumber: this.userQueueNumber
-                });
-                
-                if (!this.queueName || isNaN(this.userQueueNumber) || this.userQueueNumber <= 0) {
-                    throw new Error('Invalid decrypted data');
-                }
-            } catch (error) {
-                console.log('❌ Failed to decrypt URL parameters:', error);
-                this.redirectToHome('Invalid queue parameters');
-                return;
-            }
-            
-            // Load authentication data and verify queue exists
-            const authData = await this.loadAuthData();
+            // Validate the ticket with the server
+            const response = await fetch('/api/tickets/verify', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token: ticketToken })
+            });
+            const ticket = await response.json();
             
-            // Check if queue exists in auth data
-            if (!authData.queues || !authData.queues[this.queueName]) {
-                console.log('❌ Queue not found in authentication data');
-                this.redirectToHome('Queue not found or expired');
+            if (!response.ok || !ticket.valid) {
+                console.log('❌ Ticket rejected:', ticket.error);
+                this.redirectToHome(ticket.error || 'Invalid queue ticket');
                 return;
             }
             
+            this.queueName = ticket.queueName;
+            this.userQueueNumber = ticket.number;
+            this.userQueueLabel = ticket.label || String(ticket.number);
+            this.ticketId = ticket.ticketId;
+            this.ticketToken = ticketToken;
+            
             // Authentication successful
             console.log('✅ Authentication successful');
             this.authenticated = true;
@@ -80,46 +89,6 @@ class QueueDisplay {
         }
     }
 
-    // Decrypt unicode function (same as in distributor.js)
-    decryptUnicode(enc) {
-        try {
-            const SECRET_KEY = 129;
-            let binary = atob(enc);
-            const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
-            const decrypted = bytes.map(b => b ^ SECRET_KEY);
-            const decoder = new TextDecoder();
-            return decoder.decode(decrypted);
-        } catch (error) {
-            console.error('Decryption failed:', error);
-            throw error;
-        }
-    }
-
-    // Load authentication data
-    async loadAuthData() {
-        try {
-            // Try to fetch from server first
-            const response = await fetch('/queue-auth.json');
-            if (response.ok) {
-                return await response.json();
-            }
-        } catch (error) {
-            console.log('Server not available, checking localStorage');
-        }
-
-        // Fallback to localStorage
-        const localData = localStorage.getItem('queueAuth');
-        if (localData) {
-            return JSON.parse(localData);
-        }
-
-        // Default structure if no data exists
-        return {
-            queues: {},
-            lastUpdated: new Date().toISOString()
-        };
-    }
-
     // Redirect to home page with message
     redirectToHome(reason = 'Access denied') {
         console.log('🔄 Redirecting to home:', reason);
@@ -164,6 +133,7 @@ class QueueDisplay {
             this.loadQueueData();
             this.initializeEventListeners();
             this.updateDisplay();
+            this.subscribeToEvents();
             this.startAutoRefresh();
             this.showAuthenticationStatus();
             console.log('✅ Backup system ready');
@@ -171,6 +141,7 @@ class QueueDisplay {
             console.error('❌ Backup initialization failed:', error);
             this.initializeEventListeners();
             this.updateDisplay();
+            this.subscribeToEvents();
             this.startAutoRefresh();
         }
     }
@@ -192,7 +163,7 @@ class QueueDisplay {
                 box-shadow: 0 2px 8px rgba(0,0,0,0.2);
             ">
                 🎫 Queue: <strong>${this.queueName}</strong><br>
-                <small>Your number: ${this.userQueueNumber}</small>
+                <small>Your number: ${this.userQueueLabel}</small>
             </div>
         `;
         document.body.appendChild(authStatusDiv);
@@ -211,17 +182,35 @@ class QueueDisplay {
         
         if (this.backup) {
             const status = this.backup.getCurrentStatus();
-            const userQueue = this.backup.getQueue(this.userQueueNumber);
+            const userQueue = this.backup.getTicket(this.ticketId);
             
             this.currentQueue = status.currentQueue;
             this.totalQueues = status.totalQueues;
             this.callingQueue = status.callingQueue;
+            // The first load only shows the current call; later changes are new calls or re-announcements
+            this.flashCall = this.lastCalledTime !== null && status.lastCalled !== this.lastCalledTime && status.lastCalled !== '-';
             this.lastCalledTime = status.lastCalled;
+            this.recentCalls = this.backup.data.recentCalls || [];
+            this.stale = status.stale;
+            this.lastSynced = status.lastSynced;
+
+            const callingTicket = this.backup.getQueue(this.callingQueue);
+            this.callingQueueLabel = callingTicket ? QueueState.getTicketLabel(callingTicket) : String(this.callingQueue || 0);
+            this.callingCounterName = callingTicket && callingTicket.counter
+                ? QueueState.getCounterName(this.backup.data, callingTicket.counter)
+                : null;
+            this.userCounterName = userQueue && userQueue.counter
+                ? QueueState.getCounterName(this.backup.data, userQueue.counter)
+                : null;
             
             // Get user's queue timestamp if available
             if (userQueue && userQueue.timestamp) {
                 this.userQueueTimestamp = userQueue.timestamp;
+                this.userTicket = userQueue;
                 this.userQueueServed = userQueue.served;
+                this.userQueuesAhead = QueueState.countAhead(this.backup.data, userQueue);
+                this.userQueuePriority = userQueue.priority === true;
+                this.userQueueStatus = userQueue.status;
                 console.log(`🕒 User queue ${this.userQueueNumber} created at: ${this.userQueueTimestamp}`);
             } else {
                 console.log(`⚠️ No timestamp found for queue ${this.userQueueNumber}`);
@@ -237,6 +226,10 @@ class QueueDisplay {
             this.refreshData();
         });
 
+        document.getElementById('cancelTicketBtn').addEventListener('click', () => {
+            this.cancelTicket();
+        });
+
         // Listen for storage changes (when distributor updates data)
         window.addEventListener('storage', (e) => {
             if (e.key === `queueBackup_${this.queueName}`) {
@@ -257,14 +250,38 @@ class QueueDisplay {
         }
         
         // Update current calling queue
-        document.getElementById('displayQueueNumber').textContent = this.callingQueue || 0;
+        document.getElementById('displayQueueNumber').textContent = this.callingQueueLabel || 0;
+        document.getElementById('displayCounter').textContent = this.callingCounterName
+            ? `Queue ${this.callingQueueLabel} → ${this.callingCounterName}`
+            : '';
+        
+        // Earlier calls, without the current one
+        const earlier = this.recentCalls.filter(call => call.number !== this.callingQueue)
+            .map(call => call.label)
+            .filter((label, index, labels) => labels.indexOf(label) === index)
+            .slice(0, RECENT_CALLS_SHOWN);
+        document.getElementById('recentCalls').textContent = earlier.length > 0 ? `Recently called: ${earlier.join(', ')}` : '';
+
+        if (this.flashCall) {
+            this.flashCall = false;
+            const numberElement = document.getElementById('displayQueueNumber');
+            numberElement.classList.remove('flash');
+            void numberElement.offsetWidth; // Restart the animation when it is already running
+            numberElement.classList.add('flash');
+        }
         
         // Update or create last called time display
         this.updateLastCalledTimeDisplay();
         
+        // Warn when the numbers come from the offline copy
+        this.updateStaleIndicator();
+        
         // Update user-specific status
         this.updateUserQueueStatus();
 
+        // Only a ticket that is still waiting can be given up
+        document.getElementById('cancelTicketBtn').style.display = this.userQueueStatus === 'waiting' ? '' : 'none';
+
         // Update queue number color based on status
         const queueNumberElement = document.getElementById('displayQueueNumber');
         if (this.callingQueue === 0) {
@@ -323,54 +340,70 @@ class QueueDisplay {
         } else {
             lastCalledElement.innerHTML = `
                 <div style="color: #6c757d;">
-                    🕒 <strong>Queue ${this.callingQueue} is currently being served</strong>
+                    🕒 <strong>Queue ${this.callingQueueLabel} is currently being served</strong>
                 </div>
             `;
         }
     }
 
-    // Calculate total waiting time for user's queue
-    getTotalWaitingTime() {
-        if (!this.userQueueTimestamp) {
-            return null;
+    // Show or hide the "data may be stale" warning
+    updateStaleIndicator() {
+        let staleElement = document.getElementById('staleDataWarning');
+        
+        if (!this.stale) {
+            if (staleElement) {
+                staleElement.style.display = 'none';
+            }
+            return;
         }
         
-        const queueCreatedTime = new Date(this.userQueueTimestamp);
-        if (!this.userQueueServed) {
-            this.now = new Date();
+        if (!staleElement) {
+            staleElement = document.createElement('div');
+            staleElement.id = 'staleDataWarning';
+            staleElement.style.cssText = `
+                color: #856404;
+                font-size: 14px;
+                margin: 10px 0;
+                text-align: center;
+                background: #fff3cd;
+                padding: 8px 15px;
+                border-radius: 5px;
+                border: 1px solid #ffeeba;
+            `;
+            
+            // Insert at the top of the display, under the queue name
+            const queueNameElement = document.getElementById('queueName');
+            if (queueNameElement) {
+                queueNameElement.parentNode.insertBefore(staleElement, queueNameElement.nextSibling);
+            }
         }
-        else if (!this.userQueueServedStatus) {
-            this.now = new Date(this.lastCalledTime);
-            this.userQueueServedStatus = true;
+        
+        const syncedText = this.lastSynced
+            ? `Last updated from server ${this.getTimeAgo(new Date(this.lastSynced)).toLowerCase()}.`
+            : 'Could not reach the server.';
+        staleElement.innerHTML = `⚠️ <strong>Data may be stale.</strong> ${syncedText} Retrying automatically...`;
+        staleElement.style.display = 'block';
+    }
+
+    // Calculate total waiting time for user's queue: until it was called, or until now while it waits
+    getTotalWaitingTime() {
+        if (!this.userTicket) {
+            return null;
         }
-        const totalWaitingMs = this.now - queueCreatedTime;
 
+        const { waitMs } = QueueState.getDurations(this.userTicket);
+        if (waitMs === null) {
+            return null;
+        }
         return {
-            totalMs: totalWaitingMs,
-            formatted: this.formatWaitingTime(totalWaitingMs)
+            totalMs: waitMs,
+            formatted: this.formatWaitingTime(waitMs)
         };
     }
 
     // Format waiting time into readable format
     formatWaitingTime(totalMs) {
-        const totalSeconds = Math.floor(totalMs / 1000);
-        const totalMinutes = Math.floor(totalSeconds / 60);
-        const totalHours = Math.floor(totalMinutes / 60);
-        const days = Math.floor(totalHours / 24);
-        
-        const hours = totalHours % 24;
-        const minutes = totalMinutes % 60;
-        const seconds = totalSeconds % 60;
-        
-        if (days > 0) {
-            return `${days}d ${hours}h ${minutes}m`;
-        } else if (totalHours > 0) {
-            return `${hours}h ${minutes}m`;
-        } else if (totalMinutes > 0) {
-            return `${minutes}m ${seconds}s`;
-        } else {
-            return `${seconds}s`;
-        }
+        return QueueState.formatDuration(totalMs);
     }
 
     // Get time ago string (e.g., "2 minutes ago")
@@ -433,29 +466,74 @@ class QueueDisplay {
             </div>` : '';
 
         // Update user status content
-        if (this.userQueueNumber <= (this.callingQueue || 0)) {
+        // Tickets are not always called in number order, so the ticket's own status says where it stands
+        if (this.userQueueStatus === 'cancelled') {
+            userStatusDiv.innerHTML = `
+                <div style="color: #6c757d;">
+                    🚫 <strong style="font-size: 25px;">
+                            Queue number ${this.userQueueLabel} was cancelled
+                        </strong>
+                    <br>
+                    <small style="font-weight: normal; font-size: 20px; margin-top: 8px; display: block;">Please ask the counter for a new ticket if you still need the service</small>
+                </div>
+            `;
+            userStatusDiv.style.borderColor = '#6c757d';
+            userStatusDiv.style.background = 'linear-gradient(135deg, #f8f9fa, #e9ecef)';
+        } else if (this.userQueueStatus === 'no-show') {
+            userStatusDiv.innerHTML = `
+                <div style="color: #c62828;">
+                    ⚠️ <strong style="font-size: 25px;">
+                            Your queue number ${this.userQueueLabel} was called but missed
+                        </strong>
+                    <br>
+                    <small style="color: #8e1b1b; font-weight: normal; font-size: 20px; margin-top: 8px; display: block;">Please see the ${this.userCounterName ? `<strong>${this.userCounterName}</strong>` : 'service counter'}</small>
+                    ${waitingTimeDisplay}
+                </div>
+            `;
+            userStatusDiv.style.borderColor = '#f44336';
+            userStatusDiv.style.background = 'linear-gradient(135deg, #ffebee, #ffcdd2)';
+        } else if (this.userQueueStatus === 'serving' || this.userQueueStatus === 'completed') {
+            const { serviceMs } = QueueState.getDurations(this.userTicket);
+            const serviceTime = serviceMs === null ? '' : ` (service time ${this.formatWaitingTime(serviceMs)})`;
+            const message = this.userQueueStatus === 'serving'
+                ? `You are being served${this.userCounterName ? ` at <strong>${this.userCounterName}</strong>` : ''}`
+                : `Your service is complete${serviceTime}. Thank you!`;
             userStatusDiv.innerHTML = `
                 <div style="color: #4CAF50;">
                     ✅ <strong style="font-size: 25px;">
-                            Your queue number ${this.userQueueNumber} has been called!
+                            Queue number ${this.userQueueLabel}
                         </strong>
                     <br>
-                    <small style="color: #0f421aff; font-weight: normal; font-size: 20px; margin-top: 8px; display: block;">Please proceed to the service counter</small>
+                    <small style="color: #0f421aff; font-weight: normal; font-size: 20px; margin-top: 8px; display: block;">${message}</small>
+                    ${waitingTimeDisplay}
+                </div>
+            `;
+            userStatusDiv.style.borderColor = '#4CAF50';
+            userStatusDiv.style.background = 'linear-gradient(135deg, #e8f5e8, #d4edda)';
+        } else if (this.userQueueServed) {
+            userStatusDiv.innerHTML = `
+                <div style="color: #4CAF50;">
+                    ✅ <strong style="font-size: 25px;">
+                            Your queue number ${this.userQueueLabel} has been called!
+                        </strong>
+                    <br>
+                    <small style="color: #0f421aff; font-weight: normal; font-size: 20px; margin-top: 8px; display: block;">Please proceed to ${this.userCounterName ? `<strong>${this.userCounterName}</strong>` : 'the service counter'}</small>
                     ${waitingTimeDisplay}
                 </div>
             `;
             userStatusDiv.style.borderColor = '#4CAF50';
             userStatusDiv.style.background = 'linear-gradient(135deg, #e8f5e8, #d4edda)';
         } else {
-            const remaining = this.userQueueNumber - (this.callingQueue || 0);
+            const remaining = this.userQueuesAhead;
             userStatusDiv.innerHTML = `
                 <div style="color: #2196F3;">
                     🎫 <strong style="font-size: 25px;">
-                            Your queue number: ${this.userQueueNumber}
+                            Your queue number: ${this.userQueueLabel}
                         </strong>
+                    ${this.userQueuePriority ? '<br><small style="font-weight: bold;">Priority ticket</small>' : ''}
                     <br>
                     <small style="color: ${remaining > 3 ? '#666;' : '#b11919ff;'} font-weight: normal; font-size: 20px; margin-top: 8px; display: block;">
-                        ${remaining} queue${remaining > 1 ? 's' : ''} ahead of you
+                        ${remaining} queue${remaining === 1 ? '' : 's'} ahead of you
                     </small>
                     ${waitingTimeDisplay}
                 </div>
@@ -465,44 +543,108 @@ class QueueDisplay {
         }
     }
 
+    // Give up the patient's number so staff do not call it; the ticket token proves it is theirs
+    async cancelTicket() {
+        if (!confirm(`Cancel queue number ${this.userQueueLabel}? You will need a new ticket to join the queue again.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/tickets/cancel', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token: this.ticketToken })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || `Cancelling failed with status ${response.status}`);
+            }
+
+            console.log(`🚫 Ticket ${this.userQueueLabel} cancelled`);
+            await this.backup.init();
+            this.loadQueueData();
+            this.updateDisplay();
+            this.showNotification('Your ticket was cancelled', 'success');
+        } catch (error) {
+            console.error('❌ Ticket cancellation failed:', error);
+            this.showNotification(error.message, 'error');
+        }
+    }
+
     // Refresh data manually
     async refreshData() {
         if (!this.authenticated) return;
+        
+        try {
+            await this.backup.init();
+            this.loadQueueData();
+            this.updateDisplay();
+            this.showNotification('Data refreshed!', 'success');
+        } catch (error) {
+            console.error('❌ Backup load failed:', error);
+            this.updateDisplay();
+        }
+    }
+
+    // Subscribe to live state changes pushed by the server
+    subscribeToEvents() {
+        if (!this.authenticated || typeof EventSource === 'undefined') {
+            console.log('📺 Live updates not supported, using polling only');
+            return;
+        }
+        
+        if (this.eventSource) {
+            this.eventSource.close();
+        }
+        
+        this.eventSource = new EventSource(`/api/queues/${encodeURIComponent(this.queueName)}/events`);
+        
+        this.eventSource.addEventListener('open', () => {
+            console.log('📺 Live updates connected');
+            this.liveUpdatesConnected = true;
+            this.eventReconnectDelay = 5000;
+        });
+        
+        this.eventSource.addEventListener('state', (e) => {
             try {
-                this.backup = new SimpleQueueBackup(this.queueName);
-                await this.backup.init();
+                this.backup.applyServerState(JSON.parse(e.data));
+                this.backup.markSynced();
                 this.loadQueueData();
-                this.initializeEventListeners();
                 this.updateDisplay();
-                this.showNotification('Data refreshed!', 'success');
             } catch (error) {
-                console.error('❌ Backup load failed:', error);
-                this.initializeEventListeners();
-                this.updateDisplay();
-                this.startAutoRefresh();
+                console.error('❌ Failed to apply live update:', error);
+            }
+        });
+        
+        this.eventSource.addEventListener('error', () => {
+            this.liveUpdatesConnected = false;
+            
+            // EventSource retries by itself unless the connection was refused outright
+            if (this.eventSource.readyState === EventSource.CLOSED) {
+                console.log(`📺 Live updates closed, reconnecting in ${this.eventReconnectDelay / 1000}s`);
+                clearTimeout(this.eventReconnectTimer);
+                this.eventReconnectTimer = setTimeout(() => this.subscribeToEvents(), this.eventReconnectDelay);
+                this.eventReconnectDelay = Math.min(this.eventReconnectDelay * 2, 60 * 1000);
             }
+        });
     }
 
-    // Start auto-refresh every 5 seconds
+    // Start the refresh timer: poll the server only while live updates are down,
+    // and keep relative times ("2 minutes ago") current either way
     startAutoRefresh() {
-        if (!this.authenticated) return;
+        if (!this.authenticated || this.refreshInterval) return;
         
-        setInterval(async () => {
-             try {
-                this.backup = new SimpleQueueBackup(this.queueName);
-                await this.backup.init();
-                this.loadQueueData();
-                this.initializeEventListeners();
-                this.updateDisplay();
-                this.updateLastCalledTimeDisplay();
-            } catch (error) {
-                console.error('❌ Backup AutoLoad failed:', error);
-                this.initializeEventListeners();
-                this.updateDisplay();
-                this.updateLastCalledTimeDisplay();
-                this.startAutoRefresh();
+        this.refreshInterval = setInterval(async () => {
+            if (!this.liveUpdatesConnected) {
+                try {
+                    await this.backup.init();
+                    this.loadQueueData();
+                } catch (error) {
+                    console.error('❌ Backup AutoLoad failed:', error);
+                }
             }
-        }, 60 * 1000);
+            this.updateDisplay();
+        }, 15 * 1000);
     }
 
     // Show notification
@@ -0,0 +1,260 @@
+// Schemas of the stored queue and auth documents: the current version of each, the migrations
+// that upgrade older documents on load, and the validation every stored document must pass
+
+const QueueState = require('./queue-state');
+
+const AUTH_SCHEMA_VERSION = 2;
+const MAX_REPORTED_ERRORS = 20;
+
+// Migrations keyed by the schema version they upgrade from.
+// Documents written before schemaVersion existed count as version 1.
+const QUEUE_MIGRATIONS = {
+    // Fill in the fields older pages only added when they first needed them
+    1: (data, queueName) => {
+        const queues = Array.isArray(data.queues) ? data.queues : [];
+        return {
+            ...data,
+            queueName: data.queueName || queueName,
+            version: data.version || 0,
+            currentQueue: data.currentQueue || 0,
+            totalQueues: QueueState.countWaiting({ queues }),
+            callingQueue: data.callingQueue || 0,
+            lastUpdated: data.lastUpdated || new Date().toISOString(),
+            lastCalled: data.lastCalled || '-',
+            queues
+        };
+    },
+    // Service counters
+    2: data => ({ ...data, counters: data.counters || [] }),
+    // Services with their own prefixed numbers
+    3: data => ({ ...data, services: data.services || [] }),
+    // Priority tickets and the calling policy
+    4: data => ({
+        ...data,
+        callingPolicy: data.callingPolicy || { ...QueueState.DEFAULT_CALLING_POLICY },
+        regularStreak: data.regularStreak || 0
+    }),
+    // Ticket statuses beyond served / not served, and the number of calls made
+    5: data => ({
+        ...data,
+        callCount: data.callCount || data.queues.filter(ticket => ticket.served).length,
+        queues: data.queues.map(ticket => ({ ...ticket, status: ticket.status || (ticket.served ? 'called' : 'waiting') }))
+    }),
+    // Log of recent calls and re-announcements
+    6: data => ({ ...data, recentCalls: data.recentCalls || [] }),
+    // Lifecycle timestamps and staff on tickets; older tickets simply do not have them
+    7: data => data,
+    // Tickets the patient cancelled; older documents have none
+    8: data => data,
+    // Appointment tickets placed in line by dueAt; older tickets all line up by when they were issued
+    9: data => data,
+    // The public take-number page, off until a distributor turns it on
+    10: data => ({ ...data, selfService: data.selfService === true })
+};
+
+const AUTH_MIGRATIONS = {
+    // Entries from before lastAccessed was recorded count as accessed when they were created
+    1: authData => {
+        const queues = {};
+        for (const [queueName, entry] of Object.entries(authData.queues || {})) {
+            queues[queueName] = { ...entry, lastAccessed: entry.lastAccessed || entry.created || new Date().toISOString() };
+        }
+        return { ...authData, queues };
+    }
+};
+
+const isCount = value => Number.isSafeInteger(value) && value >= 0;
+
+class QueueSchema {
+    // Bring a queue document up to the current schema and check it.
+    // Resolves to { data, migrated }; throws (statusCode 422, errors) if it cannot be used.
+    static upgradeQueue(queueName, data) {
+        const { document, migrated } = QueueSchema.migrate(data, QUEUE_MIGRATIONS, QueueState.SCHEMA_VERSION, 'Queue', queueName);
+        QueueSchema.assertValid(`Queue "${queueName}"`, QueueSchema.validateQueue(document));
+        return { data: document, migrated };
+    }
+
+    // Same for the auth document ({ queues: { name: entry } })
+    static upgradeAuth(authData) {
+        const { document, migrated } = QueueSchema.migrate(authData, AUTH_MIGRATIONS, AUTH_SCHEMA_VERSION, 'Auth');
+        QueueSchema.assertValid('Auth file', QueueSchema.validateAuth(document));
+        return { authData: document, migrated };
+    }
+
+    // Apply every migration from the document's version up to the current one
+    static migrate(document, migrations, currentVersion, kind, ...args) {
+        if (!document || typeof document !== 'object' || Array.isArray(document)) {
+            QueueSchema.assertValid(`${kind} document`, ['must be an object']);
+        }
+
+        let version = document.schemaVersion === undefined ? 1 : document.schemaVersion;
+        if (!Number.isSafeInteger(version) || version < 1) {
+            QueueSchema.assertValid(`${kind} document`, ['schemaVersion must be a positive whole number']);
+        }
+        if (version > currentVersion) {
+            QueueSchema.assertValid(`${kind} document`, [`schemaVersion ${version} is newer than this server supports (${currentVersion})`]);
+        }
+
+        let upgraded = document;
+        while (version < currentVersion) {
+            upgraded = { ...migrations[version](upgraded, ...args), schemaVersion: version + 1 };
+            version++;
+        }
+        return { document: upgraded, migrated: upgraded !== document };
+    }
+
+    // List everything wrong with a queue document (empty when it matches the current schema)
+    static validateQueue(data) {
+        const errors = [];
+        if (data.schemaVersion !== QueueState.SCHEMA_VERSION) {
+            errors.push(`schemaVersion must be ${QueueState.SCHEMA_VERSION}`);
+        }
+        if (typeof data.queueName !== 'string' || !data.queueName) {
+            errors.push('queueName must be a non-empty string');
+        }
+        for (const field of ['version', 'currentQueue', 'totalQueues', 'callingQueue', 'regularStreak', 'callCount']) {
+            if (!isCount(data[field])) {
+                errors.push(`${field} must be a whole number of zero or more`);
+            }
+        }
+        for (const field of ['lastUpdated', 'lastCalled']) {
+            if (typeof data[field] !== 'string') {
+                errors.push(`${field} must be a string`);
+            }
+        }
+        if (data.rollover !== undefined && data.rollover !== null && typeof data.rollover !== 'object') {
+            errors.push('rollover must be an object or null');
+        }
+        if (!Array.isArray(data.counters)) {
+            errors.push('counters must be a list');
+        } else {
+            data.counters.forEach((counter, index) => {
+                if (!counter || !Number.isSafeInteger(counter.id) || counter.id < 1 || typeof counter.name !== 'string' || !counter.name) {
+                    errors.push(`counters[${index}] must have a positive whole number id and a name`);
+                }
+            });
+        }
+        if (!Array.isArray(data.services)) {
+            errors.push('services must be a list');
+        } else {
+            data.services.forEach((service, index) => {
+                if (!service || !Number.isSafeInteger(service.id) || service.id < 1 || typeof service.name !== 'string' || !service.name) {
+                    errors.push(`services[${index}] must have a positive whole number id and a name`);
+                }
+                if (!service || typeof service.prefix !== 'string' || !isCount(service.digits) || service.digits < 1) {
+                    errors.push(`services[${index}] must have a prefix and a number of digits`);
+                }
+            });
+        }
+        const policy = data.callingPolicy;
+        if (!policy || !QueueState.CALLING_POLICY_MODES.includes(policy.mode) || !isCount(policy.regularPerPriority) || policy.regularPerPriority < 1) {
+            errors.push(`callingPolicy must have a mode (${QueueState.CALLING_POLICY_MODES.join(', ')}) and a positive regularPerPriority`);
+        }
+        if (typeof data.selfService !== 'boolean') {
+            errors.push('selfService must be true or false');
+        }
+        if (!Array.isArray(data.recentCalls)) {
+            errors.push('recentCalls must be a list');
+        } else if (data.recentCalls.some(call => !call || !isCount(call.number) || typeof call.at !== 'string')) {
+            errors.push('recentCalls entries must have a number and a time');
+        }
+        if (!Array.isArray(data.queues)) {
+            errors.push('queues must be a list of tickets');
+            return errors;
+        }
+
+        data.queues.forEach((ticket, index) => {
+            const where = `queues[${index}]`;
+            if (!ticket || typeof ticket !== 'object') {
+                errors.push(`${where} must be a ticket object`);
+                return;
+            }
+            if (!isCount(ticket.id)) {
+                errors.push(`${where}.id must be a whole number`);
+            }
+            if (!isCount(ticket.number) || ticket.number < 1) {
+                errors.push(`${where}.number must be a positive whole number`);
+            }
+            if (typeof ticket.timestamp !== 'string') {
+                errors.push(`${where}.timestamp must be a string`);
+            }
+            if (typeof ticket.served !== 'boolean') {
+                errors.push(`${where}.served must be true or false`);
+            }
+            if (ticket.counter !== undefined && ticket.counter !== null && !Number.isSafeInteger(ticket.counter)) {
+                errors.push(`${where}.counter must be a counter id`);
+            }
+            if (ticket.service !== undefined && (!Number.isSafeInteger(ticket.service) || !isCount(ticket.serviceNumber) || typeof ticket.label !== 'string')) {
+                errors.push(`${where} must have a service id, serviceNumber and label together`);
+            }
+            if (ticket.priority !== undefined && typeof ticket.priority !== 'boolean') {
+                errors.push(`${where}.priority must be true or false`);
+            }
+            if (!QueueState.TICKET_STATUSES.includes(ticket.status)) {
+                errors.push(`${where}.status must be one of: ${QueueState.TICKET_STATUSES.join(', ')}`);
+            } else if ((ticket.status === 'waiting') === ticket.served) {
+                errors.push(`${where}.served must be false exactly when status is waiting`);
+            }
+            for (const field of QueueState.LIFECYCLE_FIELDS) {
+                if (ticket[field] !== undefined && (typeof ticket[field] !== 'string' || isNaN(Date.parse(ticket[field])))) {
+                    errors.push(`${where}.${field} must be an ISO date`);
+                }
+            }
+            if (ticket.dueAt !== undefined && (typeof ticket.dueAt !== 'string' || isNaN(Date.parse(ticket.dueAt)))) {
+                errors.push(`${where}.dueAt must be an ISO date`);
+            }
+            if (ticket.staff !== undefined && typeof ticket.staff !== 'string') {
+                errors.push(`${where}.staff must be a name`);
+            }
+            if (ticket.returnAfter !== undefined && !isCount(ticket.returnAfter)) {
+                errors.push(`${where}.returnAfter must be a whole number of calls`);
+            }
+        });
+        return errors;
+    }
+
+    static validateAuth(authData) {
+        const errors = [];
+        if (authData.schemaVersion !== AUTH_SCHEMA_VERSION) {
+            errors.push(`schemaVersion must be ${AUTH_SCHEMA_VERSION}`);
+        }
+        if (!authData.queues || typeof authData.queues !== 'object' || Array.isArray(authData.queues)) {
+            errors.push('queues must be an object of credential entries');
+            return errors;
+        }
+        for (const [queueName, entry] of Object.entries(authData.queues)) {
+            errors.push(...QueueSchema.validateCredential(entry).map(error => `queues["${queueName}"]: ${error}`));
+        }
+        return errors;
+    }
+
+    // One credential entry: a password hash (or a legacy password upgraded at next login) and access times
+    static validateCredential(entry) {
+        if (!entry || typeof entry !== 'object') {
+            return ['must be an object'];
+        }
+        const errors = [];
+        if (typeof entry.passwordHash !== 'string' && typeof entry.password !== 'string') {
+            errors.push('passwordHash must be a string');
+        }
+        if (typeof entry.lastAccessed !== 'string' || isNaN(Date.parse(entry.lastAccessed))) {
+            errors.push('lastAccessed must be an ISO date');
+        }
+        return errors;
+    }
+
+    // Throw a 422 error listing the problems, if there are any
+    static assertValid(subject, errors) {
+        if (errors.length === 0) {
+            return;
+        }
+        const error = new Error(`${subject} does not match the current schema: ${errors[0]}`);
+        error.statusCode = 422;
+        error.errors = errors.slice(0, MAX_REPORTED_ERRORS);
+        throw error;
+    }
+}
+
+QueueSchema.AUTH_SCHEMA_VERSION = AUTH_SCHEMA_VERSION;
+
+module.exports = QueueSchema;
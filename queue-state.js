@@ -0,0 +1,421 @@
+// Queue state transitions shared by the server and the browser pages
+class QueueState {
+    // Get default data structure for a queue
+    static getDefaultData(queueName) {
+        return {
+            schemaVersion: QueueState.SCHEMA_VERSION,
+            queueName: queueName,
+            version: 0,
+            currentQueue: 0,
+            totalQueues: 0,
+            callingQueue: 0,
+            lastUpdated: new Date().toISOString(),
+            lastCalled: "-",
+            counters: [],
+            services: [],
+            callingPolicy: { ...QueueState.DEFAULT_CALLING_POLICY },
+            regularStreak: 0,
+            callCount: 0,
+            recentCalls: [],
+            selfService: false, // Whether patients may take numbers from the public take-number page
+            queues: []
+        };
+    }
+
+    // Count tickets that have not been served yet
+    static countWaiting(data) {
+        return data.queues.filter(q => !q.served).length;
+    }
+
+    // Waiting tickets that will be called before this one. Each service has its own waiting list;
+    // within it the calls the queue's policy would make are played forward until this ticket comes up.
+    static countAhead(data, ticket) {
+        const waiting = data.queues.filter(q => !q.served && q.service === ticket.service);
+        const progress = { regularStreak: data.regularStreak || 0, callCount: data.callCount || 0 };
+        let ahead = 0;
+        while (waiting.length > 0) {
+            const next = QueueState.pickNext(waiting, data.callingPolicy, progress);
+            if (next.id === ticket.id) {
+                return ahead;
+            }
+            waiting.splice(waiting.indexOf(next), 1);
+            QueueState.recordCall(progress, next);
+            ahead++;
+        }
+        return ahead;
+    }
+
+    // The waiting ticket a policy calls next:
+    //   fifo       - first in line first, whatever its priority
+    //   strict     - priority tickets first, then the rest
+    //   interleave - one priority ticket after every regularPerPriority regular ones
+    // A ticket re-inserted after N positions is held back until N more calls were made, then goes first.
+    // Tickets line up by when they were issued, or by their appointment time (dueAt) for checked-in appointments.
+    static pickNext(waiting, policy = QueueState.DEFAULT_CALLING_POLICY, progress = { regularStreak: 0, callCount: 0 }) {
+        const place = ticket => Date.parse(ticket.dueAt || ticket.timestamp);
+        const byPlace = (a, b) => place(a) - place(b) || a.number - b.number;
+        const byReturn = (a, b) => a.returnAfter - b.returnAfter || byPlace(a, b);
+        const held = waiting.filter(q => q.returnAfter !== undefined).sort(byReturn);
+        if (held.length > 0 && held[0].returnAfter <= progress.callCount) {
+            return held[0];
+        }
+
+        const eligible = waiting.filter(q => q.returnAfter === undefined);
+        const priority = eligible.filter(q => q.priority).sort(byPlace)[0];
+        const regular = eligible.filter(q => !q.priority).sort(byPlace)[0];
+        const mode = policy ? policy.mode : 'fifo';
+
+        if (!priority || !regular) {
+            // Nobody else is waiting, so a held ticket need not wait for its turn
+            return priority || regular || held[0] || null;
+        }
+        if (mode === 'strict') {
+            return priority;
+        }
+        if (mode === 'interleave') {
+            return progress.regularStreak >= policy.regularPerPriority ? priority : regular;
+        }
+        return byPlace(priority, regular) < 0 ? priority : regular;
+    }
+
+    // Issue the next ticket number, in a service's own line when one is given and as a priority ticket if asked.
+    // A checked-in appointment's ticket takes its place in line at dueAt instead of when it was issued.
+    static issueTicket(data, now = new Date(), serviceId = null, priority = false, dueAt = null) {
+        const lastTicket = data.queues[data.queues.length - 1];
+        const ticket = {
+            // Ids must stay unique even when two tickets are issued in the same millisecond
+            id: Math.max(now.getTime(), lastTicket ? lastTicket.id + 1 : 0),
+            number: data.currentQueue + 1,
+            timestamp: now.toISOString(),
+            served: false,
+            status: 'waiting'
+        };
+
+        const service = QueueState.getService(data, serviceId);
+        if (service) {
+            // The number within the service restarts with every reset, like the queue's own numbers
+            const serviceNumber = Math.max(0, ...data.queues.filter(q => q.service === service.id).map(q => q.serviceNumber)) + 1;
+            ticket.service = service.id;
+            ticket.serviceNumber = serviceNumber;
+            ticket.label = QueueState.formatTicketNumber(service, serviceNumber);
+        }
+        if (priority) {
+            ticket.priority = true;
+        }
+        if (dueAt) {
+            ticket.dueAt = dueAt;
+        }
+
+        data.queues.push(ticket);
+        data.currentQueue = ticket.number;
+        data.totalQueues = QueueState.countWaiting(data);
+        data.lastUpdated = now.toISOString();
+        return ticket;
+    }
+
+    // Call the waiting ticket (of one service, if given) the queue's calling policy picks. The handler
+    // ({ counterId, staff }) is who called it: the counter if the queue has counters and the staff member's name.
+    // Returns null when nobody is waiting.
+    static callNext(data, now = new Date(), handler = {}, serviceId = null) {
+        const waiting = data.queues.filter(q => !q.served && (serviceId === null || q.service === serviceId));
+        const ticket = QueueState.pickNext(waiting, data.callingPolicy, { regularStreak: data.regularStreak || 0, callCount: data.callCount || 0 });
+        if (!ticket) {
+            return null;
+        }
+
+        QueueState.markCalled(data, ticket, now, handler);
+        data.lastUpdated = now.toISOString();
+        return ticket;
+    }
+
+    // Take a waiting ticket out of the waiting list and announce it
+    static markCalled(data, ticket, now, handler = {}) {
+        ticket.served = true;
+        ticket.status = 'called';
+        ticket.calledAt = now.toISOString();
+        delete ticket.returnAfter;
+        QueueState.setHandler(ticket, handler);
+        QueueState.recordCall(data, ticket);
+        QueueState.announce(data, ticket, now, false);
+        data.totalQueues = QueueState.countWaiting(data);
+    }
+
+    // Note the counter and staff member handling a ticket (either may be missing)
+    static setHandler(ticket, handler) {
+        if (handler.counterId !== undefined && handler.counterId !== null) {
+            ticket.counter = handler.counterId;
+        }
+        if (handler.staff) {
+            ticket.staff = handler.staff;
+        }
+    }
+
+    // Make a ticket the current call and note it in recentCalls (repeat: true when it was announced before).
+    // Displays flash whenever lastCalled changes.
+    static announce(data, ticket, now, repeat) {
+        const call = { ticketId: ticket.id, number: ticket.number, label: QueueState.getTicketLabel(ticket), at: now.toISOString(), repeat };
+        if (ticket.counter) {
+            call.counter = ticket.counter;
+        }
+        data.callingQueue = ticket.number;
+        data.lastCalled = call.at;
+        data.recentCalls = [call, ...(data.recentCalls || [])].slice(0, QueueState.MAX_RECENT_CALLS);
+    }
+
+    // Call a waiting ticket out of turn or move a called one on (see TICKET_ACTIONS), noting when it happened;
+    // options are the handler's { counterId, staff } and { positions } for requeue.
+    // Throws (statusCode 404 or 409) when the ticket is unknown or not in a state the action applies to.
+    static updateTicket(data, ticketId, action, options = {}, now = new Date()) {
+        const ticket = data.queues.find(q => q.id === ticketId);
+        if (!ticket) {
+            throw QueueState.ticketError(404, `Ticket ${ticketId} not found`);
+        }
+        const transition = QueueState.TICKET_ACTIONS[action];
+        if (!transition.from.includes(ticket.status)) {
+            throw QueueState.ticketError(409, `Ticket ${QueueState.getTicketLabel(ticket)} is ${ticket.status} and cannot be ${transition.verb}`);
+        }
+
+        ticket.status = transition.to;
+        if (transition.timestamp) {
+            ticket[transition.timestamp] = now.toISOString();
+        }
+        if (action === 'call') {
+            QueueState.markCalled(data, ticket, now, options);
+        } else if (action === 'recall') {
+            // Announced again, so displays show it as the current call
+            QueueState.setHandler(ticket, options);
+            QueueState.announce(data, ticket, now, true);
+        } else if (action === 'serve') {
+            QueueState.setHandler(ticket, options);
+        } else if (action === 'requeue') {
+            // Back in the waiting list, to be called once `positions` more tickets have been
+            ticket.served = false;
+            ticket.returnAfter = (data.callCount || 0) + options.positions;
+            delete ticket.counter;
+            data.totalQueues = QueueState.countWaiting(data);
+        } else if (action === 'cancel') {
+            // Out of the waiting list for good, so call-next passes over it and it no longer counts as remaining
+            ticket.served = true;
+            delete ticket.returnAfter;
+            data.totalQueues = QueueState.countWaiting(data);
+        }
+        data.lastUpdated = now.toISOString();
+        return ticket;
+    }
+
+    // How long a ticket waited to be called and how long its service took (or has taken so far), in milliseconds;
+    // null for a stage it has not reached
+    static getDurations(ticket, now = new Date()) {
+        const time = field => (ticket[field] ? new Date(ticket[field]).getTime() : null);
+        const issued = time('timestamp');
+        const called = time('calledAt');
+        const started = time('serviceStartedAt') || called;
+        const completed = time('completedAt');
+
+        let waitMs = null;
+        if (called !== null) {
+            waitMs = called - issued;
+        } else if (ticket.status === 'waiting') {
+            waitMs = now.getTime() - issued;
+        }
+
+        let serviceMs = null;
+        if (completed !== null && started !== null) {
+            serviceMs = completed - started;
+        } else if (ticket.status === 'serving' && started !== null) {
+            serviceMs = now.getTime() - started;
+        }
+        return { waitMs, serviceMs };
+    }
+
+    // Average wait (of called tickets) and service time (of completed ones); null when there is none yet
+    static getAverageDurations(tickets) {
+        const average = values => (values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+        const durations = tickets.map(ticket => ({ ticket, ...QueueState.getDurations(ticket) }));
+        return {
+            waitMs: average(durations.filter(d => d.ticket.calledAt).map(d => d.waitMs)),
+            serviceMs: average(durations.filter(d => d.ticket.completedAt && d.serviceMs !== null).map(d => d.serviceMs))
+        };
+    }
+
+    // A duration as 45s, 4m 10s, 1h 5m or 2d 3h 0m
+    static formatDuration(totalMs) {
+        const totalSeconds = Math.floor(totalMs / 1000);
+        const totalMinutes = Math.floor(totalSeconds / 60);
+        const totalHours = Math.floor(totalMinutes / 60);
+        const days = Math.floor(totalHours / 24);
+
+        const hours = totalHours % 24;
+        const minutes = totalMinutes % 60;
+        const seconds = totalSeconds % 60;
+
+        if (days > 0) {
+            return `${days}d ${hours}h ${minutes}m`;
+        } else if (totalHours > 0) {
+            return `${hours}h ${minutes}m`;
+        } else if (totalMinutes > 0) {
+            return `${minutes}m ${seconds}s`;
+        }
+        return `${seconds}s`;
+    }
+
+    static ticketError(statusCode, message) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    // Reset the numbers and tickets (the version and the queue's settings are kept)
+    static reset(data, now = new Date()) {
+        const fresh = QueueState.getDefaultData(data.queueName);
+        fresh.version = data.version || 0;
+        QueueState.copySettings(data, fresh);
+        fresh.lastUpdated = now.toISOString();
+        return fresh;
+    }
+
+    // Carry the settings managed through their own endpoints (rollover time, service counters, services, calling policy,
+    // self-service) over to another document
+    static copySettings(from, to) {
+        for (const field of QueueState.SETTINGS_FIELDS) {
+            if (from[field] !== undefined) {
+                to[field] = from[field];
+            }
+        }
+        return to;
+    }
+
+    // Display name of a service counter
+    static getCounterName(data, counterId) {
+        const counter = (data.counters || []).find(c => c.id === counterId);
+        return counter ? counter.name : `Counter ${counterId}`;
+    }
+
+    // Count calls, and regular calls since the last priority one (what the interleave policy goes by)
+    static recordCall(data, ticket) {
+        data.regularStreak = ticket.priority ? 0 : (data.regularStreak || 0) + 1;
+        data.callCount = (data.callCount || 0) + 1;
+    }
+
+    static getService(data, serviceId) {
+        return (data.services || []).find(s => s.id === serviceId) || null;
+    }
+
+    // A service's prefix followed by its zero-padded number, e.g. A001
+    static formatTicketNumber(service, serviceNumber) {
+        return service.prefix + String(serviceNumber).padStart(service.digits, '0');
+    }
+
+    // The number printed on a ticket and shown on the displays
+    static getTicketLabel(ticket) {
+        return ticket.label || String(ticket.number);
+    }
+
+    // Apply one journal event to a queue document and return the resulting document
+    static applyEvent(data, event) {
+        let next = data;
+
+        switch (event.type) {
+            case 'queue-created':
+            case 'queue-deleted':
+                next = QueueState.getDefaultData(data.queueName);
+                break;
+            case 'ticket-issued':
+                data.queues.push({ ...event.ticket });
+                data.currentQueue = event.ticket.number;
+                data.totalQueues = QueueState.countWaiting(data);
+                break;
+            case 'ticket-called': {
+                const ticket = data.queues.find(q => q.id === event.ticket.id);
+                if (ticket) {
+                    QueueState.markCalled(data, ticket, new Date(event.at), { counterId: event.ticket.counter, staff: event.ticket.staff });
+                }
+                break;
+            }
+            case 'ticket-updated':
+                QueueState.updateTicket(data, event.ticket.id, event.action, { counterId: event.counterId, staff: event.staff, positions: event.positions }, new Date(event.at));
+                break;
+            case 'queue-reset':
+            case 'queue-rollover':
+                next = QueueState.reset(data, new Date(event.at));
+                break;
+            case 'rollover-configured':
+            case 'counters-updated':
+            case 'services-updated':
+            case 'calling-policy-updated':
+            case 'self-service-updated':
+                break;
+            case 'state-saved':
+            case 'queue-restored':
+            case 'queue-imported':
+                next = JSON.parse(JSON.stringify(event.state));
+                break;
+            default:
+                return data; // Events such as logins do not change queue state
+        }
+
+        if (event.rollover !== undefined) {
+            next.rollover = event.rollover;
+        }
+        if (event.counters !== undefined) {
+            next.counters = event.counters;
+        }
+        if (event.services !== undefined) {
+            next.services = event.services;
+        }
+        if (event.callingPolicy !== undefined) {
+            next.callingPolicy = event.callingPolicy;
+        }
+        if (event.selfService !== undefined) {
+            next.selfService = event.selfService;
+        }
+        next.queueName = data.queueName;
+        next.lastUpdated = event.at;
+        if (event.version !== undefined) {
+            next.version = event.version;
+        }
+        return next;
+    }
+
+    // Rebuild a queue document by replaying journal events in order
+    static replay(queueName, events) {
+        return events.reduce((data, event) => QueueState.applyEvent(data, event), QueueState.getDefaultData(queueName));
+    }
+}
+
+// Version of the queue document shape; changing the shape means bumping this and adding a migration in queue-schema.js
+QueueState.SCHEMA_VERSION = 11;
+
+// Fields set through their own endpoints, which resets, imports and saved documents leave alone
+QueueState.SETTINGS_FIELDS = ['rollover', 'counters', 'services', 'callingPolicy', 'selfService'];
+
+// Tickets are called in number order until a queue chooses another policy
+QueueState.DEFAULT_CALLING_POLICY = { mode: 'fifo', regularPerPriority: 3 };
+QueueState.CALLING_POLICY_MODES = ['fifo', 'strict', 'interleave'];
+
+// When a ticket reached each stage after being issued (its timestamp); a ticket has only those it reached
+QueueState.LIFECYCLE_FIELDS = ['calledAt', 'serviceStartedAt', 'completedAt', 'noShowAt', 'cancelledAt'];
+
+// Calls kept in recentCalls for the displays
+QueueState.MAX_RECENT_CALLS = 10;
+
+// A ticket is waiting until called (or until the patient cancels it); after that the distributor moves it on with these actions
+QueueState.TICKET_STATUSES = ['waiting', 'called', 'serving', 'completed', 'no-show', 'cancelled'];
+// (timestamp names the ticket field recording when the action happened; calls set calledAt)
+QueueState.TICKET_ACTIONS = {
+    call: { from: ['waiting'], to: 'called', verb: 'called' },
+    serve: { from: ['called'], to: 'serving', verb: 'served', timestamp: 'serviceStartedAt' },
+    complete: { from: ['called', 'serving'], to: 'completed', verb: 'completed', timestamp: 'completedAt' },
+    'no-show': { from: ['called'], to: 'no-show', verb: 'marked as a no-show', timestamp: 'noShowAt' },
+    recall: { from: ['called', 'no-show'], to: 'called', verb: 'recalled' },
+    requeue: { from: ['called', 'no-show'], to: 'waiting', verb: 'put back in the queue' },
+    cancel: { from: ['waiting'], to: 'cancelled', verb: 'cancelled', timestamp: 'cancelledAt' }
+};
+
+// Export for use in other files
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QueueState;
+} else {
+    window.QueueState = QueueState;
+}
@@ -0,0 +1,286 @@
+// Export and import of a queue's tickets as JSON or CSV
+
+const QueueState = require('./queue-state');
+const QueueSchema = require('./queue-schema');
+
+const EXPORT_FORMAT = 'qms-queue-export';
+const EXPORT_VERSION = 1;
+const CSV_COLUMNS = ['number', 'id', 'timestamp', 'served'];
+// Filled in only for tickets issued to a service; files without them still import
+const CSV_SERVICE_COLUMNS = ['service', 'serviceNumber', 'label'];
+// Optional as well: "true" for priority tickets, and the ticket's status (worked out from served when missing)
+const CSV_PRIORITY_COLUMN = 'priority';
+const CSV_STATUS_COLUMN = 'status';
+// When the ticket reached each stage and who handled it, blank where it has not
+const CSV_LIFECYCLE_COLUMNS = [...QueueState.LIFECYCLE_FIELDS, 'staff'];
+// Appointment time of a checked-in appointment's ticket, which sets its place in line
+const CSV_DUE_COLUMN = 'dueAt';
+const MAX_REPORTED_ERRORS = 20;
+
+class QueueTransfer {
+    // Wrap a queue document for download
+    static toJson(queueName, data) {
+        return JSON.stringify({
+            format: EXPORT_FORMAT,
+            exportVersion: EXPORT_VERSION,
+            queueName,
+            exportedAt: new Date().toISOString(),
+            data
+        }, null, 2);
+    }
+
+    // One row per ticket, in issue order
+    static toCsv(data) {
+        const rows = data.queues.map(ticket => [
+            ticket.number, ticket.id, ticket.timestamp, ticket.served ? 'true' : 'false',
+            ...CSV_SERVICE_COLUMNS.map(column => ticket.service === undefined ? '' : ticket[column]),
+            ticket.priority ? 'true' : '',
+            ticket.status,
+            ...CSV_LIFECYCLE_COLUMNS.map(column => ticket[column] || ''),
+            ticket.dueAt || ''
+        ]);
+        return [[...CSV_COLUMNS, ...CSV_SERVICE_COLUMNS, CSV_PRIORITY_COLUMN, CSV_STATUS_COLUMN, ...CSV_LIFECYCLE_COLUMNS, CSV_DUE_COLUMN], ...rows]
+            .map(row => row.map(QueueTransfer.toCsvCell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // Quote a cell that would otherwise be split or trimmed on import (a label or staff name with a comma, say)
+    static toCsvCell(value) {
+        const text = String(value);
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Split CSV text into rows of trimmed cells, skipping blank rows.
+    // A cell may be quoted to hold commas, line breaks or quotes (written twice: "say ""hi""").
+    static parseCsvRows(content) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        const endCell = () => {
+            row.push(cell.trim());
+            cell = '';
+        };
+        const endRow = () => {
+            endCell();
+            if (row.some(value => value)) {
+                rows.push(row);
+            }
+            row = [];
+        };
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && !cell.trim()) {
+                cell = '';
+                quoted = true;
+            } else if (char === ',') {
+                endCell();
+            } else if (char === '\n') {
+                endRow();
+            } else if (char !== '\r') {
+                cell += char;
+            }
+        }
+        endRow();
+        return rows;
+    }
+
+    // Parse an uploaded export; resolves to { data, errors } where data is null if anything is invalid
+    static parse(queueName, format, content) {
+        if (typeof content !== 'string' || !content.trim()) {
+            return { data: null, errors: ['The file is empty'] };
+        }
+        if (format === 'json') {
+            return QueueTransfer.parseJson(queueName, content);
+        }
+        if (format === 'csv') {
+            return QueueTransfer.parseCsv(queueName, content);
+        }
+        return { data: null, errors: ['format must be "json" or "csv"'] };
+    }
+
+    static parseJson(queueName, content) {
+        let document;
+        try {
+            document = JSON.parse(content);
+        } catch {
+            return { data: null, errors: ['The file is not valid JSON'] };
+        }
+
+        // Accept our export wrapper or a bare queue document (for example a queue-backups file)
+        const source = document && document.format === EXPORT_FORMAT ? document.data
+            : document && document.data && Array.isArray(document.data.queues) ? document.data
+            : document;
+        if (document && document.format === EXPORT_FORMAT && document.exportVersion > EXPORT_VERSION) {
+            return { data: null, errors: [`Export version ${document.exportVersion} is newer than this server supports`] };
+        }
+        if (!source || typeof source !== 'object' || !Array.isArray(source.queues)) {
+            return { data: null, errors: ['The file has no "queues" list of tickets'] };
+        }
+
+        return QueueTransfer.validate(queueName, source.queues, source, index => `Ticket ${index + 1}`);
+    }
+
+    static parseCsv(queueName, content) {
+        const rows = QueueTransfer.parseCsvRows(content);
+        const header = (rows[0] || []).map(cell => cell.toLowerCase());
+        if (CSV_COLUMNS.some(column => !header.includes(column))) {
+            return { data: null, errors: [`The first row must name the columns: ${CSV_COLUMNS.join(',')}`] };
+        }
+
+        const tickets = rows.slice(1).map(cells => {
+            const value = column => cells[header.indexOf(column)];
+            const served = (value('served') || '').toLowerCase();
+            const ticket = {
+                id: Number(value('id')),
+                number: Number(value('number')),
+                timestamp: value('timestamp'),
+                served: ['true', 'yes', '1'].includes(served) ? true : ['false', 'no', '0'].includes(served) ? false : served
+            };
+            if (header.includes('service') && value('service')) {
+                ticket.service = Number(value('service'));
+                ticket.serviceNumber = Number(value('servicenumber'));
+                ticket.label = value('label');
+            }
+            if (['true', 'yes', '1'].includes((value(CSV_PRIORITY_COLUMN) || '').toLowerCase())) {
+                ticket.priority = true;
+            }
+            if (value(CSV_STATUS_COLUMN)) {
+                ticket.status = value(CSV_STATUS_COLUMN).toLowerCase();
+            }
+            for (const column of [...CSV_LIFECYCLE_COLUMNS, CSV_DUE_COLUMN]) {
+                if (value(column.toLowerCase())) {
+                    ticket[column] = value(column.toLowerCase());
+                }
+            }
+            return ticket;
+        });
+
+        // Row 1 is the header
+        return QueueTransfer.validate(queueName, tickets, {}, index => `Row ${index + 2}`);
+    }
+
+    // Check every ticket and rebuild the counters from them
+    static validate(queueName, tickets, source, label) {
+        const errors = [];
+        const ids = new Set();
+        const numbers = new Set();
+
+        tickets.forEach((ticket, index) => {
+            const where = label(index);
+            if (!ticket || typeof ticket !== 'object') {
+                errors.push(`${where}: not a ticket`);
+                return;
+            }
+            if (!Number.isSafeInteger(ticket.number) || ticket.number < 1) {
+                errors.push(`${where}: number must be a positive whole number`);
+            } else if (numbers.has(ticket.number)) {
+                errors.push(`${where}: number ${ticket.number} appears more than once`);
+            }
+            if (!Number.isSafeInteger(ticket.id) || ticket.id < 0) {
+                errors.push(`${where}: id must be a whole number`);
+            } else if (ids.has(ticket.id)) {
+                errors.push(`${where}: id ${ticket.id} appears more than once`);
+            }
+            if (typeof ticket.timestamp !== 'string' || isNaN(Date.parse(ticket.timestamp))) {
+                errors.push(`${where}: timestamp must be an ISO date`);
+            }
+            if (typeof ticket.served !== 'boolean') {
+                errors.push(`${where}: served must be true or false`);
+            }
+            if (ticket.service !== undefined && (!Number.isSafeInteger(ticket.service) || !Number.isSafeInteger(ticket.serviceNumber) || typeof ticket.label !== 'string' || !ticket.label)) {
+                errors.push(`${where}: service, serviceNumber and label must be given together`);
+            }
+            if (ticket.priority !== undefined && typeof ticket.priority !== 'boolean') {
+                errors.push(`${where}: priority must be true or false`);
+            }
+            for (const field of [...QueueState.LIFECYCLE_FIELDS, CSV_DUE_COLUMN]) {
+                if (ticket[field] !== undefined && (typeof ticket[field] !== 'string' || isNaN(Date.parse(ticket[field])))) {
+                    errors.push(`${where}: ${field} must be a date`);
+                }
+            }
+            if (ticket.status !== undefined && !QueueState.TICKET_STATUSES.includes(ticket.status)) {
+                errors.push(`${where}: status must be one of ${QueueState.TICKET_STATUSES.join(', ')}`);
+            } else if (ticket.status !== undefined && typeof ticket.served === 'boolean' && (ticket.status === 'waiting') === ticket.served) {
+                errors.push(`${where}: status ${ticket.status} does not match served ${ticket.served}`);
+            }
+            numbers.add(ticket.number);
+            ids.add(ticket.id);
+        });
+
+        if (errors.length > 0) {
+            const reported = errors.slice(0, MAX_REPORTED_ERRORS);
+            if (errors.length > reported.length) {
+                reported.push(`...and ${errors.length - reported.length} more`);
+            }
+            return { data: null, errors: reported };
+        }
+
+        const queues = tickets
+            .map(ticket => ({
+                ...ticket,
+                timestamp: new Date(ticket.timestamp).toISOString(),
+                // Exports from before ticket statuses only say whether a ticket was called
+                status: ticket.status || (ticket.served ? 'called' : 'waiting')
+            }))
+            .sort((a, b) => a.id - b.id);
+        // Cancelled tickets left the waiting list without being called
+        const servedNumbers = queues.filter(ticket => ticket.served && ticket.status !== 'cancelled').map(ticket => ticket.number);
+
+        const data = QueueState.getDefaultData(queueName);
+        data.queues = queues;
+        data.currentQueue = Math.max(0, ...queues.map(ticket => ticket.number));
+        data.totalQueues = QueueState.countWaiting(data);
+        data.callCount = servedNumbers.length;
+        data.callingQueue = servedNumbers.includes(source.callingQueue) ? source.callingQueue : Math.max(0, ...servedNumbers);
+        data.lastCalled = typeof source.lastCalled === 'string' ? source.lastCalled : '-';
+        return { data, errors: [] };
+    }
+
+    // Problems a parsed file would only meet when saved into this queue (state): tickets of services the queue
+    // does not have, and anything else the stored schema rejects, such as a counter or returnAfter of the wrong type
+    static checkFits(data, state) {
+        const candidate = QueueState.copySettings(state, { ...data });
+        const serviceIds = candidate.services.map(service => service.id);
+        const errors = candidate.queues
+            .filter(ticket => ticket.service !== undefined && !serviceIds.includes(ticket.service))
+            .map(ticket => `Ticket ${ticket.number}: service ${ticket.service} is not one of this queue's services`);
+
+        // Name tickets by number rather than by their place in the sorted list
+        for (const error of QueueSchema.validateQueue(candidate)) {
+            errors.push(error.replace(/^queues\[(\d+)\]\.?/, (match, index) => `Ticket ${candidate.queues[index].number}: `));
+        }
+
+        if (errors.length > MAX_REPORTED_ERRORS) {
+            return [...errors.slice(0, MAX_REPORTED_ERRORS), `...and ${errors.length - MAX_REPORTED_ERRORS} more`];
+        }
+        return errors;
+    }
+
+    // Counts shown to the distributor before an import is confirmed
+    static summarize(data) {
+        const timestamps = data.queues.map(ticket => ticket.timestamp).sort();
+        const cancelled = data.queues.filter(ticket => ticket.status === 'cancelled').length;
+        return {
+            tickets: data.queues.length,
+            waiting: data.totalQueues,
+            served: data.queues.length - data.totalQueues - cancelled,
+            cancelled,
+            currentQueue: data.currentQueue,
+            callingQueue: data.callingQueue,
+            firstIssued: timestamps[0] || null,
+            lastIssued: timestamps[timestamps.length - 1] || null
+        };
+    }
+}
+
+module.exports = QueueTransfer;
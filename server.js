@@ -4,14 +4,114 @@ const http = require('http');
 const fs = require('fs').promises;
 const path = require('path');
 const url = require('url');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const QueueState = require('./queue-state');
+const QueueTransfer = require('./queue-transfer');
+const AppointmentBook = require('./appointment-book');
+const QueueArchive = require('./queue-archive');
+const BusinessDay = require('./business-day');
+const { createStorage } = require('./storage');
+const { writeFileAtomic } = require('./file-utils');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Same rules the login page enforces, checked again on the server
+const QUEUE_NAME_PATTERN = /^[a-zA-Z0-9\u0E00-\u0E7F\-_\s]+$/;
+const PASSWORD_PATTERN = /^[a-zA-Z0-9]{4,20}$/;
+
+// Limits for the service counters of one queue
+const MAX_COUNTERS = 20;
+const MAX_COUNTER_NAME_LENGTH = 30;
+
+// Limits for the services (separate lines with their own prefixed numbers) of one queue
+const MAX_SERVICES = 10;
+const SERVICE_PREFIX_PATTERN = /^[A-Z]{1,3}$/;
+const MAX_SERVICE_DIGITS = 5;
+const DEFAULT_SERVICE_DIGITS = 3;
+
+// Most regular tickets the interleave calling policy can call between two priority ones
+const MAX_REGULAR_PER_PRIORITY = 20;
+
+// Furthest back a called ticket can be put in the waiting list
+const MAX_REQUEUE_POSITIONS = 50;
+
+// Tickets the public take-number page issues to one device, and to one network address
+// (which a whole waiting room's Wi-Fi may share), per window
+const SELF_SERVICE_WINDOW_MS = 5 * 60 * 1000; // 5 minutes
+const SELF_SERVICE_TICKETS_PER_DEVICE = 1;
+const SELF_SERVICE_TICKETS_PER_ADDRESS = 30;
+const DEVICE_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+// Read a positive number from an environment variable (undefined if unset or invalid)
+function readEnvNumber(name) {
+    const value = Number(process.env[name]);
+    return process.env[name] && Number.isFinite(value) && value > 0 ? value : undefined;
+}
 
 class QueueServer {
-    constructor() {
-        this.port = 3000;
-        this.authFile = 'queue-auth.json';
-        this.backupDir = 'queue-backups';
+    constructor(options = {}) {
+        this.port = options.port || 3000;
+        this.secretFile = 'queue-secret.key';
         this.server = http.createServer((req, res) => this.handleRequest(req, res));
         this.cleanupInterval = null;
+
+        // Queues unused for longer than the grace period are archived by the daily cleanup
+        this.inactiveDays = options.inactiveDays || 7;
+        this.archive = new QueueArchive();
+
+        // Queues with a daily rollover time are checked every minute and reset once the time passes
+        this.rolloverCheckMs = options.rolloverCheckMs || 60 * 1000; // 1 minute
+        this.rolloverInterval = null;
+
+        // Credentials, queues, tickets and the event journal: JSON files (default) or SQLite
+        this.storage = createStorage({
+            type: options.storage,
+            sqliteFile: options.sqliteFile,
+            snapshotRetention: options.snapshotRetention
+        });
+
+        // Rolling timestamped snapshots taken by the storage adapter
+        this.snapshotIntervalMs = options.snapshotIntervalMs || 30 * 1000; // 30 seconds
+        this.snapshotInterval = null;
+
+        // Distributor sessions: token -> { queueName, counterId, createdAt, expiresAt }
+        this.sessions = new Map();
+        this.sessionCookie = 'qms_session';
+        this.sessionTtlMs = 8 * 60 * 60 * 1000; // 8 hours
+
+        // Take-number page: a long-lived cookie tells patients' devices apart, and the tickets each device
+        // or address took recently are counted here: 'queue|device:<id>' or 'queue|address:<ip>' -> { times, token }
+        this.deviceCookie = 'qms_device';
+        this.selfServiceIssued = new Map();
+
+        // Key for signing patient ticket links, loaded in start()
+        this.ticketSecret = null;
+        this.ticketTtlMs = 24 * 60 * 60 * 1000; // 24 hours
+
+        // Per-queue promise chains that serialize reads and writes of queue data
+        this.queueLocks = new Map();
+
+        // Open Server-Sent Events streams: queueName -> Set of responses
+        this.eventClients = new Map();
+        this.eventHeartbeatInterval = null;
+
+        // Files the static handler may serve; credentials, backups and
+        // server code are never exposed
+        this.publicFiles = new Set([
+            '/index.html',
+            '/distributor.html',
+            '/queue-display.html',
+            '/take-number.html',
+            '/styles.css',
+            '/login.js',
+            '/distributor.js',
+            '/queue-display.js',
+            '/take-number.js',
+            '/simple-backup.js',
+            '/queue-state.js',
+            '/offline-outbox.js'
+        ]);
     }
 
     // Add this missing method to read request body
@@ -30,27 +130,83 @@ class QueueServer {
         });
     }
 
-    async start() {
-        // Ensure backup directory exists
+    // Read and parse a JSON request body, rejecting malformed input and anything but an object
+    async getJsonBody(req) {
+        const body = await this.getRequestBody(req);
+        let parsed;
         try {
-            await fs.mkdir(this.backupDir, { recursive: true });
-            console.log('📁 Backup directory ready');
-        } catch (error) {
-            console.error('Failed to create backup directory:', error);
+            parsed = body ? JSON.parse(body) : {};
+        } catch {
+            parsed = undefined;
         }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            const error = new Error('Request body must be a JSON object');
+            error.statusCode = 400;
+            throw error;
+        }
+        return parsed;
+    }
+
+    // Send a JSON response
+    sendJson(res, statusCode, payload) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+    }
+
+    async start() {
+        // Open storage, repairing anything a crash left unreadable before it is read
+        await this.storage.init();
+        await this.archive.init();
+        console.log('📁 Storage ready');
+
+        // Load (or create) the ticket signing key
+        await this.loadTicketSecret();
 
         // Start the cleanup scheduler
         this.startCleanupScheduler();
 
+        // Start taking rolling snapshots
+        this.startSnapshotScheduler();
+
         this.server.listen(this.port, () => {
             console.log(`🚀 Queue Management Server running on http://localhost:${this.port}`);
             console.log('📁 Serving files from current directory');
-            console.log('💾 Auth file:', this.authFile);
-            console.log('📂 Backup directory:', this.backupDir);
-            console.log('🧹 Cleanup scheduler started - checking inactive queues daily');
+            this.storage.describe().forEach(line => console.log(line));
+            console.log(`🧹 Cleanup scheduler started - archiving queues inactive for ${this.inactiveDays} days into ${this.archive.archiveDir}`);
+            console.log(`📸 Snapshots every ${this.snapshotIntervalMs / 1000}s, keeping ${this.storage.snapshotRetention} per file in ${this.storage.snapshotDir}`);
         });
     }
 
+    // Start taking snapshots of changed files on an interval
+    startSnapshotScheduler() {
+        this.snapshotInterval = setInterval(() => {
+            this.takeSnapshots();
+        }, this.snapshotIntervalMs);
+
+        console.log('📸 Snapshot scheduler initialized');
+    }
+
+    // Stop the snapshot scheduler
+    stopSnapshotScheduler() {
+        if (this.snapshotInterval) {
+            clearInterval(this.snapshotInterval);
+            this.snapshotInterval = null;
+            console.log('🛑 Snapshot scheduler stopped');
+        }
+    }
+
+    // Snapshot everything that changed since the last run
+    async takeSnapshots() {
+        try {
+            const count = await this.storage.takeSnapshots((queueName, task) => this.withQueueLock(queueName, task));
+            if (count > 0) {
+                console.log(`📸 Snapshots taken for ${count} item(s)`);
+            }
+        } catch (error) {
+            console.error('❌ Snapshot failed:', error);
+        }
+    }
+
     // Start the daily cleanup scheduler
     startCleanupScheduler() {
         // Run cleanup immediately on startup
@@ -61,6 +217,12 @@ class QueueServer {
             this.performCleanup();
         }, 24 * 60 * 60 * 1000); // 24 hours in milliseconds
         
+        // Catch up on any business day that ended while the server was down, then keep checking
+        this.performRollovers();
+        this.rolloverInterval = setInterval(() => {
+            this.performRollovers();
+        }, this.rolloverCheckMs);
+        
         console.log('🕒 Daily cleanup scheduler initialized');
     }
 
@@ -71,225 +233,281 @@ class QueueServer {
             this.cleanupInterval = null;
             console.log('🛑 Cleanup scheduler stopped');
         }
+        if (this.rolloverInterval) {
+            clearInterval(this.rolloverInterval);
+            this.rolloverInterval = null;
+        }
+    }
+
+    // The rollover a queue is waiting on, or null if it is not configured or not due yet
+    getDueRollover(data, now = new Date()) {
+        const rollover = data && data.rollover;
+        if (!rollover || !rollover.time) {
+            return null;
+        }
+        const due = BusinessDay.previousRollover(now, rollover.time, rollover.timeZone);
+        // A boundary before the time was (re)configured was not part of the schedule, so it is never missed
+        const since = Math.max(Date.parse(rollover.lastRolloverAt) || 0, Date.parse(rollover.configuredAt) || 0);
+        return due.getTime() > since ? due : null;
+    }
+
+    // Close the business day of every queue whose rollover time has passed
+    async performRollovers() {
+        try {
+            for (const queueName of await this.storage.listQueues()) {
+                const data = await this.storage.loadQueue(queueName);
+                if (this.getDueRollover(data)) {
+                    await this.rolloverQueue(queueName);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Error during daily rollover:', error);
+        }
+    }
+
+    // Move the day's tickets into the queue's history and reset its counters
+    async rolloverQueue(queueName) {
+        const { rolledOver, entry } = await this.mutateQueue(queueName, async state => {
+            // Checked again under the lock in case a request got there first
+            const due = this.getDueRollover(state);
+            if (!due) {
+                return { unchanged: true };
+            }
+
+            const { time, timeZone } = state.rollover;
+            const entry = {
+                businessDay: BusinessDay.dateOf(new Date(due.getTime() - 1), timeZone),
+                closedAt: due.toISOString(),
+                issued: state.queues.length,
+                served: state.queues.filter(ticket => ticket.served && ticket.status !== 'cancelled').length,
+                waiting: QueueState.countWaiting(state),
+                noShows: state.queues.filter(ticket => ticket.status === 'no-show').length,
+                cancelled: state.queues.filter(ticket => ticket.status === 'cancelled').length,
+                tickets: state.queues
+            };
+            if (entry.issued > 0) {
+                await this.storage.appendHistory(queueName, entry);
+            }
+            // The book only holds the day's slots; left in place, yesterday's appointments could still be checked in
+            await this.storage.saveAppointments(queueName, []);
+
+            const rollover = {
+                ...state.rollover,
+                lastRolloverAt: due.toISOString(),
+                nextRolloverAt: BusinessDay.nextRollover(new Date(), time, timeZone).toISOString()
+            };
+            const data = QueueState.reset(state);
+            data.rollover = rollover;
+            return {
+                data,
+                rolledOver: true,
+                entry,
+                event: { type: 'queue-rollover', businessDay: entry.businessDay, rollover }
+            };
+        });
+
+        if (rolledOver) {
+            console.log(`🌙 Queue "${queueName}" closed business day ${entry.businessDay} (${entry.issued} tickets moved to history)`);
+        }
     }
 
-    // Perform the daily cleanup check
-    async performCleanup() {
+    // Perform the daily cleanup check. With dryRun nothing is changed; either way resolves to a report.
+    async performCleanup({ dryRun = false } = {}) {
+        const report = {
+            dryRun,
+            graceDays: this.inactiveDays,
+            checkedAt: new Date().toISOString(),
+            archived: [],
+            orphaned: [],
+            active: []
+        };
+
         try {
-            console.log('🧹 Starting daily cleanup check...');
+            console.log(`🧹 Starting daily cleanup check${dryRun ? ' (dry run)' : ''}...`);
             const now = new Date();
             console.log(`🕒 Current time: ${now.toISOString()}`);
             
-            let authData = null;
-            let queueNames = [];
+            // Read credentials and the queues that have stored data
+            const credentials = await this.storage.listCredentials();
+            const queueNames = Object.keys(credentials);
+            if (queueNames.length > 0) {
+                console.log(`🔍 Found ${queueNames.length} queues with credentials:`, queueNames);
+            } else {
+                console.log('📄 No queues with credentials found');
+            }
             
-            // Check if auth file exists and read it
-            try {
-                await fs.access(this.authFile);
-                const authFileContent = await fs.readFile(this.authFile, 'utf8');
-                authData = JSON.parse(authFileContent);
+            const storedQueues = await this.storage.listQueues();
+            console.log(`📂 Found ${storedQueues.length} stored queues:`, storedQueues);
+            
+            // Step 1: Check existing queues for inactivity
+            for (const queueName of queueNames) {
+                const queueData = credentials[queueName];
+                const lastAccessed = new Date(queueData.lastAccessed);
+                const daysSinceAccess = (now - lastAccessed) / (1000 * 60 * 60 * 24);
+                const entry = { queueName, lastAccessed: queueData.lastAccessed, daysInactive: Number(daysSinceAccess.toFixed(2)) };
                 
-                if (authData.queues && Object.keys(authData.queues).length > 0) {
-                    queueNames = Object.keys(authData.queues);
-                    console.log(`🔍 Found ${queueNames.length} queues in auth file:`, queueNames);
+                console.log(`📊 Queue "${queueName}": Last accessed ${daysSinceAccess.toFixed(2)} days ago`);
+                
+                if (daysSinceAccess > this.inactiveDays) {
+                    console.log(`📦 Queue "${queueName}" is inactive (${daysSinceAccess.toFixed(2)} days), marking for archive`);
+                    report.archived.push(entry);
                 } else {
-                    console.log('📄 No queues found in auth file');
+                    console.log(`✅ Queue "${queueName}" is active (${daysSinceAccess.toFixed(2)} days)`);
+                    report.active.push(entry);
                 }
-            } catch (error) {
-                console.log('📄 No auth file found or error reading it');
-                authData = null;
-                queueNames = [];
             }
             
-            // Get list of backup files in the backup directory
-            let backupFiles = [];
-            try {
-                const files = await fs.readdir(this.backupDir);
-                backupFiles = files.filter(file => 
-                    file.startsWith('queue-backup-') && file.endsWith('.json')
-                );
-                console.log(`📂 Found ${backupFiles.length} backup files:`, backupFiles);
-            } catch (error) {
-                console.log('📂 No backup directory found or error reading it');
-            }
-            
-            let deletedQueues = [];
-            let activeQueues = [];
-            let orphanedBackups = [];
-            
-            // Step 1: Check existing queues in auth file for inactivity
-            if (authData && queueNames.length > 0) {
-                for (const queueName of queueNames) {
-                    const queueData = authData.queues[queueName];
-                    const lastAccessed = new Date(queueData.lastAccessed);
-                    const daysSinceAccess = (now - lastAccessed) / (1000 * 60 * 60 * 24);
-                    
-                    console.log(`📊 Queue "${queueName}": Last accessed ${daysSinceAccess.toFixed(2)} days ago`);
-                    
-                    if (daysSinceAccess > 1) {
-                        console.log(`🗑️ Queue "${queueName}" is inactive (${daysSinceAccess.toFixed(2)} days), marking for deletion`);
-                        deletedQueues.push(queueName);
+            // Step 2: Check stored queues for orphaned entries (no corresponding credentials)
+            if (storedQueues.length > 0) {
+                console.log('🔍 Checking for orphaned backups...');
+                
+                for (const backupQueueName of storedQueues) {
+                    if (!credentials[backupQueueName]) {
+                        console.log(`📦 Found orphaned backup for queue "${backupQueueName}" (no credentials)`);
+                        report.orphaned.push({ queueName: backupQueueName });
                     } else {
-                        console.log(`✅ Queue "${queueName}" is active (${daysSinceAccess.toFixed(2)} days)`);
-                        activeQueues.push(queueName);
+                        console.log(`✅ Backup for queue "${backupQueueName}" has corresponding credentials`);
                     }
                 }
             }
             
-            // Step 2: Check backup files for orphaned entries (no corresponding queue in auth file)
-            if (backupFiles.length > 0) {
-                console.log('🔍 Checking for orphaned backup files...');
-                
-                for (const backupFile of backupFiles) {
-                    // Extract queue name from backup filename: queue-backup-{queueName}.json
-                    const queueNameMatch = backupFile.match(/^queue-backup-(.+)\.json$/);
-                    if (queueNameMatch) {
-                        const backupQueueName = queueNameMatch[1];
-                        
-                        // Check if this queue exists in auth file
-                        if (!authData || !authData.queues || !authData.queues[backupQueueName]) {
-                            console.log(`🗑️ Found orphaned backup file for queue "${backupQueueName}" (not in auth file)`);
-                            orphanedBackups.push(backupQueueName);
-                        } else {
-                            console.log(`✅ Backup file for queue "${backupQueueName}" has corresponding auth entry`);
-                        }
-                    } else {
-                        console.log(`⚠️ Invalid backup filename format: ${backupFile}`);
-                    }
-                }
+            if (dryRun) {
+                console.log(`🧪 Dry run: would archive ${report.archived.length} inactive queues and ${report.orphaned.length} orphaned backups`);
+                return report;
             }
             
-            // Step 3: Delete inactive queues (from auth file)
-            if (deletedQueues.length > 0) {
-                console.log(`🗑️ Deleting ${deletedQueues.length} inactive queues:`, deletedQueues);
-                
-                for (const queueName of deletedQueues) {
-                    await this.deleteInactiveQueue(queueName);
-                }
+            // Step 3: Archive inactive queues
+            for (const entry of report.archived) {
+                entry.archiveId = await this.archiveQueue(entry.queueName, 'inactive');
             }
             
-            // Step 4: Delete orphaned backup files
-            if (orphanedBackups.length > 0) {
-                console.log(`🗑️ Deleting ${orphanedBackups.length} orphaned backup files:`, orphanedBackups);
-                
-                for (const queueName of orphanedBackups) {
-                    await this.deleteOrphanedBackupFile(queueName);
-                }
+            // Step 4: Archive orphaned backups
+            for (const entry of report.orphaned) {
+                entry.archiveId = await this.archiveQueue(entry.queueName, 'orphaned');
             }
             
             // Summary
-            const totalDeleted = deletedQueues.length + orphanedBackups.length;
-            if (totalDeleted > 0) {
+            const totalArchived = report.archived.length + report.orphaned.length;
+            if (totalArchived > 0) {
                 console.log(`✅ Cleanup completed:`);
-                console.log(`   - ${deletedQueues.length} inactive queues deleted`);
-                console.log(`   - ${orphanedBackups.length} orphaned backup files deleted`);
-                console.log(`   - ${activeQueues.length} queues remain active`);
+                console.log(`   - ${report.archived.length} inactive queues archived`);
+                console.log(`   - ${report.orphaned.length} orphaned backups archived`);
+                console.log(`   - ${report.active.length} queues remain active`);
             } else {
-                console.log(`✅ Cleanup completed: All ${activeQueues.length} queues are active, no cleanup needed`);
+                console.log(`✅ Cleanup completed: All ${report.active.length} queues are active, no cleanup needed`);
             }
             
         } catch (error) {
             console.error('❌ Error during cleanup:', error);
+            report.error = error.message;
         }
+        return report;
     }
 
-    // Delete an orphaned backup file (backup exists but no auth entry)
-    async deleteOrphanedBackupFile(queueName) {
+    // Move a queue's tickets, credentials and journal into a compressed archive, then remove it.
+    // Resolves to the archive id, or null if archiving failed (the queue is then left in place).
+    async archiveQueue(queueName, reason) {
         try {
-            console.log(`🗑️ Deleting orphaned backup file for queue: "${queueName}"`);
-            
-            const filename = `queue-backup-${queueName}.json`;
-            const filepath = path.join(this.backupDir, filename);
-            
-            try {
-                await fs.access(filepath);
-                await fs.unlink(filepath);
-                console.log(`✅ Orphaned backup file deleted: ${filename}`);
-            } catch {
-                console.log(`📄 Orphaned backup file not found (already deleted): ${filename}`);
-            }
+            console.log(`📦 Archiving queue "${queueName}" (${reason})`);
             
+            return await this.withQueueLock(queueName, async () => {
+                const credential = await this.storage.getCredential(queueName);
+                const data = await this.storage.loadQueue(queueName);
+                const events = await this.readJournal(queueName);
+                const archiveId = await this.archive.write(queueName, reason, { credential, data, events });
+                
+                // Only remove the queue once the archive is safely written
+                await this.storage.deleteQueue(queueName);
+                if (await this.storage.deleteCredential(queueName)) {
+                    this.revokeQueueSessions(queueName);
+                }
+                await this.appendJournalEvent(queueName, { type: 'queue-archived', reason, archiveId });
+                
+                console.log(`✅ Queue "${queueName}" archived as ${archiveId}`);
+                return archiveId;
+            });
         } catch (error) {
-            console.error(`❌ Error deleting orphaned backup file for ${queueName}:`, error);
+            console.error(`❌ Failed to archive queue "${queueName}":`, error);
+            return null;
         }
     }
 
-    // Delete an inactive queue (similar to deleteCurrentQueue in distributor.js)
-    async deleteInactiveQueue(queueName) {
-        try {
-            console.log(`🗑️ Starting deletion process for inactive queue: "${queueName}"`);
-            
-            // Delete backup file
-            await this.deleteQueueBackupFileInternal(queueName);
+    // Bring an archived queue back with its tickets and credentials (the password must already be verified)
+    async restoreArchivedQueue(archiveId, bundle, credential) {
+        const queueName = bundle.queueName;
+        await this.withQueueLock(queueName, async () => {
+            if (await this.storage.getCredential(queueName)) {
+                const error = new Error(`Queue "${queueName}" already exists`);
+                error.statusCode = 409;
+                throw error;
+            }
             
-            // Remove queue from auth file
-            await this.removeQueueFromAuthFile(queueName);
+            const current = await this.storage.loadQueue(queueName);
+            const data = bundle.data || QueueState.getDefaultData(queueName);
+            data.version = Math.max(data.version || 0, current ? current.version || 0 : 0) + 1;
             
-            console.log(`✅ Successfully deleted inactive queue: "${queueName}"`);
-        } catch (error) {
-            console.error(`❌ Failed to delete inactive queue "${queueName}":`, error);
-        }
+            const stored = await this.saveQueueBackup(queueName, data);
+            await this.storage.putCredential(queueName, credential);
+            await this.appendJournalEvent(queueName, { type: 'queue-restored', restoredFrom: archiveId, version: stored.version, state: stored });
+            await this.archive.remove(archiveId);
+        });
+        console.log(`📦 Queue "${queueName}" restored from archive ${archiveId}`);
     }
 
-    // Internal method to delete queue backup file (server-side only)
-    async deleteQueueBackupFileInternal(queueName) {
-        try {
-            const filename = `queue-backup-${queueName}.json`;
-            const filepath = path.join(this.backupDir, filename);
-            
-            console.log(`🗑️ Attempting to delete backup file: ${filepath}`);
-            
-            try {
-                await fs.access(filepath);
-                await fs.unlink(filepath);
-                console.log(`✅ Backup file deleted: ${filename}`);
-            } catch {
-                console.log(`📄 Backup file not found (already deleted): ${filename}`);
-            }
-        } catch (error) {
-            console.error(`❌ Error deleting backup file for ${queueName}:`, error);
+    // Handle listing the archives of the session's own queue
+    async handleListArchives(req, res) {
+        const session = this.requireSession(req, res);
+        if (!session) {
+            return;
         }
+        const archives = (await this.archive.list()).filter(archive => archive.queueName === session.queueName);
+        this.sendJson(res, 200, { graceDays: this.inactiveDays, archives });
     }
 
-    // Internal method to remove queue from auth file (server-side only)
-    async removeQueueFromAuthFile(queueName) {
+    // Handle restoring an archived queue; the archived queue's password proves ownership
+    async handleRestoreArchive(req, res, archiveId) {
         try {
-            console.log(`🗑️ Removing queue "${queueName}" from auth file`);
-            
-            // Read current auth data
-            const authFileContent = await fs.readFile(this.authFile, 'utf8');
-            const authData = JSON.parse(authFileContent);
+            const { password } = await this.getJsonBody(req);
+            const bundle = await this.archive.read(archiveId);
+            if (!bundle || !bundle.credential) {
+                this.sendJson(res, 404, { error: 'Archive not found' });
+                return;
+            }
             
-            // Remove the specific queue
-            if (authData.queues && authData.queues[queueName]) {
-                delete authData.queues[queueName];
-                authData.lastUpdated = new Date().toISOString();
-                
-                // If no queues left, delete the entire file
-                if (Object.keys(authData.queues).length === 0) {
-                    console.log('🗑️ No queues remaining, deleting entire auth file');
-                    await fs.unlink(this.authFile);
-                    console.log('✅ Auth file deleted (no queues remaining)');
-                } else {
-                    // Write updated auth data back to file
-                    await fs.writeFile(this.authFile, JSON.stringify(authData, null, 2));
-                    console.log(`✅ Queue "${queueName}" removed from auth file`);
-                }
-            } else {
-                console.log(`📄 Queue "${queueName}" not found in auth file`);
+            const credential = bundle.credential;
+            if (typeof password !== 'string' || !(await this.checkQueuePassword(bundle.queueName, credential, password))) {
+                this.sendJson(res, 401, { error: 'Invalid password for archived queue' });
+                return;
             }
+            
+            credential.lastAccessed = new Date().toISOString();
+            await this.restoreArchivedQueue(archiveId, bundle, credential);
+            
+            const session = this.createSession(bundle.queueName);
+            this.setSessionCookie(res, session);
+            this.sendJson(res, 200, { success: true, queueName: bundle.queueName, expiresAt: new Date(session.expiresAt).toISOString() });
         } catch (error) {
-            console.error(`❌ Error removing queue "${queueName}" from auth file:`, error);
+            console.error(`❌ Failed to restore archive ${archiveId}:`, error);
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
         }
     }
 
-    // Add method for manual cleanup trigger (for testing)
-    async handleManualCleanup(req, res) {
+    // Add method for manual cleanup trigger (for testing); ?dryRun=true only reports
+    async handleManualCleanup(req, res, query) {
         try {
-            console.log('🧪 Manual cleanup triggered');
-            await this.performCleanup();
+            if (!this.requireSession(req, res)) {
+                return;
+            }
+
+            const dryRun = query.dryRun === 'true' || query.dryRun === '1';
+            console.log(`🧪 Manual cleanup triggered${dryRun ? ' (dry run)' : ''}`);
+            const report = await this.performCleanup({ dryRun });
             res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: true, message: 'Manual cleanup completed' }));
+            res.end(JSON.stringify({
+                success: !report.error,
+                message: dryRun ? 'Dry run completed, nothing was changed' : 'Manual cleanup completed',
+                report
+            }));
         } catch (error) {
             console.error('❌ Manual cleanup failed:', error);
             res.writeHead(500, { 'Content-Type': 'application/json' });
@@ -308,61 +526,32 @@ class QueueServer {
                 activeQueues: 0,
                 inactiveQueues: 0,
                 totalBackupFiles: 0,
-                orphanedBackupFiles: 0
+                orphanedBackupFiles: 0,
+                graceDays: this.inactiveDays,
+                archivedQueues: (await this.archive.list()).length
             };
 
             // Get current queue statistics
-            let authData = null;
-            try {
-                const authFileContent = await fs.readFile(this.authFile, 'utf8');
-                authData = JSON.parse(authFileContent);
-                
-                if (authData.queues) {
-                    const now = new Date();
-                    status.totalQueues = Object.keys(authData.queues).length;
-                    
-                    for (const [queueName, queueData] of Object.entries(authData.queues)) {
-                        const lastAccessed = new Date(queueData.lastAccessed);
-                        const daysSinceAccess = (now - lastAccessed) / (1000 * 60 * 60 * 24);
-                        
-                        if (daysSinceAccess > 1) {
-                            status.inactiveQueues++;
-                        } else {
-                            status.activeQueues++;
-                        }
-                    }
-                }
-            } catch {
-                // Auth file doesn't exist or is invalid
-            }
-
-            // Get backup files statistics
-            try {
-                const files = await fs.readdir(this.backupDir);
-                const backupFiles = files.filter(file => 
-                    file.startsWith('queue-backup-') && file.endsWith('.json')
-                );
-                status.totalBackupFiles = backupFiles.length;
+            const credentials = await this.storage.listCredentials();
+            const now = new Date();
+            status.totalQueues = Object.keys(credentials).length;
+            
+            for (const queueData of Object.values(credentials)) {
+                const lastAccessed = new Date(queueData.lastAccessed);
+                const daysSinceAccess = (now - lastAccessed) / (1000 * 60 * 60 * 24);
                 
-                // Count orphaned backup files
-                if (authData && authData.queues) {
-                    for (const backupFile of backupFiles) {
-                        const queueNameMatch = backupFile.match(/^queue-backup-(.+)\.json$/);
-                        if (queueNameMatch) {
-                            const backupQueueName = queueNameMatch[1];
-                            if (!authData.queues[backupQueueName]) {
-                                status.orphanedBackupFiles++;
-                            }
-                        }
-                    }
+                if (daysSinceAccess > this.inactiveDays) {
+                    status.inactiveQueues++;
                 } else {
-                    // If no auth file exists, all backup files are orphaned
-                    status.orphanedBackupFiles = status.totalBackupFiles;
+                    status.activeQueues++;
                 }
-            } catch {
-                // Backup directory doesn't exist
             }
 
+            // Get backup statistics
+            const storedQueues = await this.storage.listQueues();
+            status.totalBackupFiles = storedQueues.length;
+            status.orphanedBackupFiles = storedQueues.filter(queueName => !credentials[queueName]).length;
+
             res.writeHead(200, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify(status, null, 2));
         } catch (error) {
@@ -382,7 +571,8 @@ class QueueServer {
         // Set CORS headers
         res.setHeader('Access-Control-Allow-Origin', '*');
         res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-Match, If-None-Match');
+        res.setHeader('Access-Control-Expose-Headers', 'ETag');
 
         if (method === 'OPTIONS') {
             res.writeHead(200);
@@ -390,15 +580,124 @@ class QueueServer {
             return;
         }
 
+        const queueRoute = this.matchQueueRoute(path);
+
         try {
             // API endpoints - add more specific logging
-            if (path === '/api/save-auth' && method === 'POST') {
-                console.log('🔄 Handling save auth');
-                await this.handleSaveAuth(req, res);
+            if (path === '/api/login' && method === 'POST') {
+                console.log('🔐 Handling login');
+                await this.handleLogin(req, res);
+            }
+            else if (path === '/api/logout' && method === 'POST') {
+                console.log('🚪 Handling logout');
+                await this.handleLogout(req, res);
+            }
+            else if (path === '/api/session' && method === 'GET') {
+                console.log('🔑 Handling session check');
+                await this.handleSessionStatus(req, res);
+            }
+            else if (path === '/api/queues' && method === 'POST') {
+                console.log('🆕 Handling create queue');
+                await this.handleCreateQueue(req, res);
+            }
+            else if (queueRoute && !queueRoute.action && method === 'GET') {
+                console.log('🔍 Handling queue status for:', queueRoute.queueName);
+                await this.handleQueueStatus(res, queueRoute.queueName);
+            }
+            else if (queueRoute && /^tickets\/[^/]+\/token$/.test(queueRoute.action || '') && method === 'POST') {
+                const ticketId = queueRoute.action.split('/')[1];
+                console.log(`🎫 Handling ticket token for ${queueRoute.queueName} #${ticketId}`);
+                await this.handleTicketToken(req, res, queueRoute.queueName, ticketId);
+            }
+            else if (queueRoute && /^tickets\/[^/]+\/[^/]+$/.test(queueRoute.action || '') && method === 'POST') {
+                const [, ticketId, ticketAction] = queueRoute.action.split('/');
+                console.log(`🎫 Handling ${ticketAction} for ${queueRoute.queueName} #${ticketId}`);
+                await this.handleTicketAction(req, res, queueRoute.queueName, ticketId, ticketAction);
+            }
+            else if (queueRoute && queueRoute.action === 'events' && method === 'GET') {
+                console.log('📺 Handling event stream for:', queueRoute.queueName);
+                await this.handleQueueEvents(req, res, queueRoute.queueName);
+            }
+            else if (queueRoute && ['tickets', 'call-next', 'reset'].includes(queueRoute.action) && method === 'POST') {
+                console.log(`🎛️ Handling ${queueRoute.action} for:`, queueRoute.queueName);
+                await this.handleQueueOperation(req, res, queueRoute.queueName, queueRoute.action);
+            }
+            else if (queueRoute && queueRoute.action === 'journal' && method === 'GET') {
+                console.log('📜 Handling journal for:', queueRoute.queueName);
+                await this.handleGetJournal(req, res, queueRoute.queueName, parsedUrl.query);
+            }
+            else if (queueRoute && queueRoute.action === 'restore' && method === 'POST') {
+                console.log('⏪ Handling restore for:', queueRoute.queueName);
+                await this.handleRestoreQueue(req, res, queueRoute.queueName);
+            }
+            else if (path === '/api/session/staff' && method === 'PUT') {
+                console.log('🧑‍⚕️ Handling staff name');
+                await this.handleSetStaff(req, res);
+            }
+            else if (path === '/api/session/counter' && method === 'PUT') {
+                console.log('🪑 Handling counter selection');
+                await this.handleSelectCounter(req, res);
             }
-            else if (path === '/api/delete-auth' && method === 'DELETE') {
-                console.log('🗑️ Handling delete entire auth file');
-                await this.handleDeleteAuth(req, res);
+            else if (queueRoute && queueRoute.action === 'counters' && method === 'PUT') {
+                console.log('🪑 Handling counters for:', queueRoute.queueName);
+                await this.handleUpdateCounters(req, res, queueRoute.queueName);
+            }
+            else if (queueRoute && queueRoute.action === 'services' && method === 'PUT') {
+                console.log('🏷️ Handling services for:', queueRoute.queueName);
+                await this.handleUpdateServices(req, res, queueRoute.queueName);
+            }
+            else if (queueRoute && queueRoute.action === 'calling-policy' && method === 'PUT') {
+                console.log('⚖️ Handling calling policy for:', queueRoute.queueName);
+                await this.handleCallingPolicy(req, res, queueRoute.queueName);
+            }
+            else if (queueRoute && queueRoute.action === 'self-service' && method === 'GET') {
+                console.log('🎟️ Handling take-number page info for:', queueRoute.queueName);
+                await this.handleSelfServiceInfo(res, queueRoute.queueName);
+            }
+            else if (queueRoute && queueRoute.action === 'self-service' && method === 'PUT') {
+                console.log('🎟️ Handling take-number page setting for:', queueRoute.queueName);
+                await this.handleSelfServiceSetting(req, res, queueRoute.queueName);
+            }
+            else if (queueRoute && queueRoute.action === 'self-service/tickets' && method === 'POST') {
+                console.log('🎟️ Handling take-number ticket for:', queueRoute.queueName);
+                await this.handleSelfServiceTicket(req, res, queueRoute.queueName);
+            }
+            else if (queueRoute && queueRoute.action === 'settings' && method === 'PUT') {
+                console.log('⚙️ Handling settings for:', queueRoute.queueName);
+                await this.handleQueueSettings(req, res, queueRoute.queueName);
+            }
+            else if (queueRoute && queueRoute.action === 'history' && method === 'GET') {
+                console.log('🗓️ Handling history for:', queueRoute.queueName);
+                await this.handleGetHistory(req, res, queueRoute.queueName);
+            }
+            else if (queueRoute && queueRoute.action === 'export' && method === 'GET') {
+                console.log('📤 Handling export for:', queueRoute.queueName);
+                await this.handleExportQueue(req, res, queueRoute.queueName, parsedUrl.query);
+            }
+            else if (queueRoute && queueRoute.action === 'appointments' && method === 'GET') {
+                console.log('📅 Handling appointments for:', queueRoute.queueName);
+                await this.handleGetAppointments(req, res, queueRoute.queueName);
+            }
+            else if (queueRoute && queueRoute.action === 'appointments' && method === 'PUT') {
+                console.log('📅 Handling appointment import for:', queueRoute.queueName);
+                await this.handleImportAppointments(req, res, queueRoute.queueName);
+            }
+            else if (queueRoute && /^appointments\/[^/]+\/check-in$/.test(queueRoute.action || '') && method === 'POST') {
+                const appointmentId = queueRoute.action.split('/')[1];
+                console.log(`📅 Handling check-in for ${queueRoute.queueName} appointment ${appointmentId}`);
+                await this.handleCheckIn(req, res, queueRoute.queueName, appointmentId);
+            }
+            else if (queueRoute && queueRoute.action === 'import' && method === 'POST') {
+                console.log('📥 Handling import for:', queueRoute.queueName);
+                await this.handleImportQueue(req, res, queueRoute.queueName);
+            }
+            else if (path === '/api/tickets/verify' && method === 'POST') {
+                console.log('🎫 Handling ticket verification');
+                await this.handleVerifyTicket(req, res);
+            }
+            else if (path === '/api/tickets/cancel' && method === 'POST') {
+                console.log('🎫 Handling ticket cancellation');
+                await this.handleCancelTicket(req, res);
             }
             else if (path === '/api/delete-queue-auth' && method === 'DELETE') {
                 console.log('🗑️ Handling delete specific queue from auth');
@@ -411,27 +710,31 @@ class QueueServer {
             else if (path.startsWith('/api/get-queue-backup/') && method === 'GET') {
                 const queueName = decodeURIComponent(path.split('/').pop());
                 console.log('📥 Handling get queue backup for:', queueName);
-                await this.handleGetQueueBackup(res, queueName);
+                await this.handleGetQueueBackup(req, res, queueName);
             }
             else if (path.startsWith('/api/delete-queue-backup/') && method === 'DELETE') {
                 const queueName = decodeURIComponent(path.split('/').pop());
                 console.log('🗑️ Handling delete queue backup for:', queueName);
-                await this.handleDeleteQueueBackup(res, queueName);
+                await this.handleDeleteQueueBackup(req, res, queueName);
             }
             // New cleanup endpoints
             else if (path === '/api/manual-cleanup' && method === 'POST') {
                 console.log('🧪 Handling manual cleanup');
-                await this.handleManualCleanup(req, res);
+                await this.handleManualCleanup(req, res, parsedUrl.query);
+            }
+            else if (path === '/api/archives' && method === 'GET') {
+                console.log('📦 Handling archive list');
+                await this.handleListArchives(req, res);
+            }
+            else if (/^\/api\/archives\/[^/]+\/restore$/.test(path) && method === 'POST') {
+                const archiveId = decodeURIComponent(path.split('/')[3]);
+                console.log('📦 Handling archive restore for:', archiveId);
+                await this.handleRestoreArchive(req, res, archiveId);
             }
             else if (path === '/api/cleanup-status' && method === 'GET') {
                 console.log('📊 Handling cleanup status');
                 await this.handleCleanupStatus(req, res);
             }
-            // Serve auth file directly
-            else if (path === '/queue-auth.json') {
-                console.log('📄 Serving auth file');
-                await this.serveAuthFile(res);
-            }
             // Serve static files
             else {
                 console.log('📁 Serving static file:', path);
@@ -444,167 +747,1667 @@ class QueueServer {
         }
     }
 
-    // Handle saving authentication data
-    async handleSaveAuth(req, res) {
+    // Match /api/queues/:name[/:action] and decode the queue name
+    matchQueueRoute(pathname) {
+        const match = pathname.match(/^\/api\/queues\/([^/]+)(?:\/(.+))?$/);
+        if (!match) {
+            return null;
+        }
         try {
-            const body = await this.getRequestBody(req);
-            const authData = JSON.parse(body);
-            
-            console.log('💾 Saving auth data:', Object.keys(authData.queues || {}));
-            
-            await fs.writeFile(this.authFile, JSON.stringify(authData, null, 2));
-            
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: true }));
-            console.log('✅ Auth data saved successfully');
-        } catch (error) {
-            console.error('❌ Failed to save auth data:', error);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: error.message }));
+            return { queueName: decodeURIComponent(match[1]), action: match[2] || null };
+        } catch {
+            return null;
         }
     }
 
-    // Delete specific queue from auth file
-    async handleDeleteQueueAuth(req, res) {
-        try {
-            console.log('🔍 handleDeleteQueueAuth called');
-            
-            // Get the queue name from request body
-            const body = await this.getRequestBody(req);
-            console.log('📝 Request body:', body);
-            
-            const { queueName } = JSON.parse(body);
-            console.log(`🗑️ Attempting to remove queue "${queueName}" from auth file`);
-            
-            // Check if auth file exists
-            try {
-                await fs.access(this.authFile);
-                console.log('📄 Auth file exists');
-            } catch {
-                console.log('📄 Auth file does not exist');
-                res.writeHead(404, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Auth file not found' }));
-                return;
+    // Handle queue status: reveal only whether the queue exists and is open
+    async handleQueueStatus(res, queueName) {
+        if (!(await this.storage.getCredential(queueName))) {
+            this.sendJson(res, 404, { queueName, exists: false, open: false });
+            return;
+        }
+
+        const open = (await this.storage.loadQueue(queueName)) !== null;
+        this.sendJson(res, 200, { queueName, exists: true, open });
+    }
+
+    // Create a session for a queue and return it
+    createSession(queueName) {
+        this.pruneExpiredSessions();
+
+        const now = Date.now();
+        const session = {
+            token: crypto.randomBytes(32).toString('hex'),
+            queueName,
+            counterId: null, // The service counter this distributor calls tickets to
+            staffName: null, // Recorded on the tickets this distributor calls and serves
+            createdAt: now,
+            expiresAt: now + this.sessionTtlMs
+        };
+        this.sessions.set(session.token, session);
+        return session;
+    }
+
+    // Drop sessions that have passed their expiry time
+    pruneExpiredSessions() {
+        const now = Date.now();
+        for (const [token, session] of this.sessions) {
+            if (session.expiresAt <= now) {
+                this.sessions.delete(token);
             }
-            
-            // Read current auth data
-            console.log('📖 Reading auth file...');
-            const authFileContent = await fs.readFile(this.authFile, 'utf8');
-            console.log('📖 Auth file content:', authFileContent);
-            
-            const authData = JSON.parse(authFileContent);
-            console.log('📖 Parsed auth data:', JSON.stringify(authData, null, 2));
-            
-            // Check if queue exists in auth data
-            if (!authData.queues || !authData.queues[queueName]) {
-                console.log(`📄 Queue "${queueName}" not found in auth file`);
-                console.log('📄 Available queues:', Object.keys(authData.queues || {}));
-                res.writeHead(404, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: `Queue "${queueName}" not found in auth file` }));
+        }
+    }
+
+    // Revoke every session belonging to a queue (e.g. when it is deleted)
+    revokeQueueSessions(queueName) {
+        for (const [token, session] of this.sessions) {
+            if (session.queueName === queueName) {
+                this.sessions.delete(token);
+            }
+        }
+    }
+
+    // Parse the Cookie header into a plain object
+    parseCookies(req) {
+        const cookies = {};
+        const header = req.headers.cookie;
+        if (!header) {
+            return cookies;
+        }
+        for (const part of header.split(';')) {
+            const separator = part.indexOf('=');
+            if (separator > 0) {
+                const name = part.substring(0, separator).trim();
+                cookies[name] = decodeURIComponent(part.substring(separator + 1).trim());
+            }
+        }
+        return cookies;
+    }
+
+    // Look up the live session for a request, if any
+    getSession(req) {
+        const token = this.parseCookies(req)[this.sessionCookie];
+        const session = token && this.sessions.get(token);
+        if (!session) {
+            return null;
+        }
+        if (session.expiresAt <= Date.now()) {
+            this.sessions.delete(token);
+            return null;
+        }
+        return session;
+    }
+
+    // Require a session (for the given queue, if one is named); responds with 401/403 and returns null otherwise
+    requireSession(req, res, queueName = null) {
+        const session = this.getSession(req);
+        if (!session) {
+            this.sendJson(res, 401, { error: 'Login required' });
+            return null;
+        }
+        if (queueName !== null && session.queueName !== queueName) {
+            this.sendJson(res, 403, { error: `Session is not authorized for queue "${queueName}"` });
+            return null;
+        }
+        return session;
+    }
+
+    // Set the HttpOnly session cookie
+    setSessionCookie(res, session) {
+        const maxAge = Math.floor((session.expiresAt - Date.now()) / 1000);
+        res.setHeader('Set-Cookie', `${this.sessionCookie}=${session.token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${maxAge}`);
+    }
+
+    // Expire the session cookie in the browser
+    clearSessionCookie(res) {
+        res.setHeader('Set-Cookie', `${this.sessionCookie}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`);
+    }
+
+    // Handle logout: invalidate the session on the server
+    async handleLogout(req, res) {
+        const token = this.parseCookies(req)[this.sessionCookie];
+        const session = token && this.sessions.get(token);
+        if (session) {
+            this.sessions.delete(token);
+            console.log(`🚪 Session ended for queue "${session.queueName}"`);
+        }
+        this.clearSessionCookie(res);
+        this.sendJson(res, 200, { success: true });
+    }
+
+    // Handle session check: tell the page which queue it is logged into
+    async handleSessionStatus(req, res) {
+        const session = this.getSession(req);
+        if (!session) {
+            this.sendJson(res, 401, { error: 'Login required' });
+            return;
+        }
+        this.sendJson(res, 200, {
+            queueName: session.queueName,
+            counterId: session.counterId,
+            staffName: session.staffName,
+            expiresAt: new Date(session.expiresAt).toISOString()
+        });
+    }
+
+    // Handle binding this session to one of its queue's counters (or unbinding it with counterId: null)
+    async handleSelectCounter(req, res) {
+        try {
+            const session = this.requireSession(req, res);
+            if (!session) {
                 return;
             }
-            
-            // Remove the specific queue
-            console.log(`🗑️ Removing queue "${queueName}" from auth data`);
-            delete authData.queues[queueName];
-            authData.lastUpdated = new Date().toISOString();
-            
-            console.log('📝 Updated auth data:', JSON.stringify(authData, null, 2));
-            console.log('📝 Remaining queues:', Object.keys(authData.queues));
-            
-            // If no queues left, delete the entire file
-            if (Object.keys(authData.queues).length === 0) {
-                console.log('🗑️ No queues remaining, deleting entire auth file');
-                await fs.unlink(this.authFile);
-                console.log('✅ Entire auth file deleted');
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: true, message: 'Queue removed and auth file deleted (no queues remaining)' }));
-            } else {
-                // Write updated auth data back to file
-                console.log('💾 Writing updated auth data to file...');
-                const updatedContent = JSON.stringify(authData, null, 2);
-                console.log('💾 Content to write:', updatedContent);
-                
-                await fs.writeFile(this.authFile, updatedContent);
-                console.log('✅ Auth file updated successfully');
-                
-                // Verify the file was written correctly
-                const verifyContent = await fs.readFile(this.authFile, 'utf8');
-                console.log('✅ Verification - file now contains:', verifyContent);
-                
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: true, message: `Queue "${queueName}" removed from auth file` }));
+
+            const { counterId } = await this.getJsonBody(req);
+            if (counterId !== null) {
+                const backup = await this.loadQueueBackup(session.queueName);
+                const counters = backup ? backup.data.counters : [];
+                if (!counters.some(counter => counter.id === counterId)) {
+                    this.sendJson(res, 400, { error: 'Unknown counter for this queue' });
+                    return;
+                }
             }
-            
+
+            session.counterId = counterId;
+            console.log(`🪑 Session for "${session.queueName}" now calls to counter ${counterId === null ? '(none)' : counterId}`);
+            this.sendJson(res, 200, { queueName: session.queueName, counterId });
         } catch (error) {
-            console.error('❌ Failed to remove queue from auth file:', error);
-            console.error('❌ Error stack:', error.stack);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Failed to remove queue from auth file: ' + error.message }));
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
         }
     }
 
-    // Delete entire authentication file
-    async handleDeleteAuth(req, res) {
+    // Handle setting the staff member's name for this session (or clearing it with staffName: null)
+    async handleSetStaff(req, res) {
         try {
-            console.log('🗑️ Attempting to delete entire auth file:', this.authFile);
-            
-            // Check if file exists first
-            try {
-                await fs.access(this.authFile);
-                console.log('📄 Auth file exists, proceeding to delete');
-            } catch {
-                console.log('📄 Auth file does not exist');
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: true, message: 'Auth file does not exist (already deleted)' }));
+            const session = this.requireSession(req, res);
+            if (!session) {
                 return;
             }
-            
-            // Delete the file
-            await fs.unlink(this.authFile);
-            console.log('✅ Entire auth file successfully deleted');
-            
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: true, message: 'Entire auth file deleted successfully' }));
-            
+
+            const { staffName } = await this.getJsonBody(req);
+            const name = typeof staffName === 'string' ? staffName.trim() : staffName;
+            if (name !== null && name !== '' && (typeof name !== 'string' || name.length > MAX_COUNTER_NAME_LENGTH || !QUEUE_NAME_PATTERN.test(name))) {
+                this.sendJson(res, 400, { error: `Staff names can be at most ${MAX_COUNTER_NAME_LENGTH} characters of Thai letters, English letters, numbers, hyphens, underscores, and spaces` });
+                return;
+            }
+
+            session.staffName = name || null;
+            console.log(`🧑‍⚕️ Session for "${session.queueName}" is now staffed by ${session.staffName || '(nobody named)'}`);
+            this.sendJson(res, 200, { queueName: session.queueName, staffName: session.staffName });
         } catch (error) {
-            console.error('❌ Failed to delete auth file:', error);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Failed to delete auth file: ' + error.message }));
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
         }
     }
 
-    // Handle saving queue backup
-    async handleSaveQueueBackup(req, res) {
+    // Handle replacing a queue's counters with a list of names (existing names keep their ids)
+    async handleUpdateCounters(req, res, queueName) {
         try {
-            const body = await this.getRequestBody(req);
-            const backupData = JSON.parse(body);
+            if (!this.requireSession(req, res, queueName)) {
+                return;
+            }
+
+            const { counters: names } = await this.getJsonBody(req);
+            const validationError = this.validateCounterNames(names);
+            if (validationError) {
+                this.sendJson(res, 400, { error: validationError });
+                return;
+            }
+
+            const { data } = await this.mutateQueue(queueName, state => {
+                // New ids never reuse one an earlier ticket was called to
+                let nextId = Math.max(0, ...state.counters.map(c => c.id), ...state.queues.map(t => t.counter || 0)) + 1;
+                const counters = names.map(name => name.trim()).map(name => {
+                    const existing = state.counters.find(counter => counter.name === name);
+                    return existing || { id: nextId++, name };
+                });
+                state.counters = counters;
+                return { event: { type: 'counters-updated', counters } };
+            });
+
+            // Distributors at a counter that was removed must choose again
+            for (const session of this.sessions.values()) {
+                if (session.queueName === queueName && !data.counters.some(counter => counter.id === session.counterId)) {
+                    session.counterId = null;
+                }
+            }
+
+            console.log(`🪑 Counters for "${queueName}": ${data.counters.map(counter => counter.name).join(', ') || '(none)'}`);
+            this.sendJson(res, 200, { state: data });
+        } catch (error) {
+            console.error(`❌ Failed to update counters for "${queueName}":`, error);
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    // Check a list of counter names sent by a client
+    validateCounterNames(names) {
+        if (!Array.isArray(names) || names.some(name => typeof name !== 'string' || !name.trim())) {
+            return 'counters must be a list of names';
+        }
+        if (names.length > MAX_COUNTERS) {
+            return `A queue can have at most ${MAX_COUNTERS} counters`;
+        }
+        if (names.some(name => name.trim().length > MAX_COUNTER_NAME_LENGTH)) {
+            return `Counter names can be at most ${MAX_COUNTER_NAME_LENGTH} characters`;
+        }
+        if (names.some(name => !QUEUE_NAME_PATTERN.test(name))) {
+            return 'Counter names can only contain Thai letters, English letters, numbers, hyphens, underscores, and spaces';
+        }
+        if (new Set(names.map(name => name.trim())).size !== names.length) {
+            return 'Counter names must be different from each other';
+        }
+        return null;
+    }
+
+    // Handle replacing a queue's services with a list of { name, prefix, digits } (existing prefixes keep their ids)
+    async handleUpdateServices(req, res, queueName) {
+        try {
+            if (!this.requireSession(req, res, queueName)) {
+                return;
+            }
+
+            const { services: requested } = await this.getJsonBody(req);
+            const validationError = this.validateServices(requested);
+            if (validationError) {
+                this.sendJson(res, 400, { error: validationError });
+                return;
+            }
+
+            const { data } = await this.mutateQueue(queueName, state => {
+                // New ids never reuse one an earlier ticket was issued to
+                let nextId = Math.max(0, ...state.services.map(s => s.id), ...state.queues.map(t => t.service || 0)) + 1;
+                const services = requested.map(({ name, prefix, digits = DEFAULT_SERVICE_DIGITS }) => {
+                    const existing = state.services.find(service => service.prefix === prefix);
+                    return { id: existing ? existing.id : nextId++, name: name.trim(), prefix, digits };
+                });
+                state.services = services;
+                return { event: { type: 'services-updated', services } };
+            });
+
+            console.log(`🏷️ Services for "${queueName}": ${data.services.map(service => `${service.prefix} ${service.name}`).join(', ') || '(none)'}`);
+            this.sendJson(res, 200, { state: data });
+        } catch (error) {
+            console.error(`❌ Failed to update services for "${queueName}":`, error);
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    // Check a list of services sent by a client
+    validateServices(services) {
+        if (!Array.isArray(services) || services.some(service => !service || typeof service.name !== 'string' || !service.name.trim())) {
+            return 'services must be a list of { name, prefix } entries';
+        }
+        if (services.length > MAX_SERVICES) {
+            return `A queue can have at most ${MAX_SERVICES} services`;
+        }
+        if (services.some(service => service.name.trim().length > MAX_COUNTER_NAME_LENGTH || !QUEUE_NAME_PATTERN.test(service.name))) {
+            return `Service names can be at most ${MAX_COUNTER_NAME_LENGTH} characters of Thai letters, English letters, numbers, hyphens, underscores, and spaces`;
+        }
+        if (services.some(service => typeof service.prefix !== 'string' || !SERVICE_PREFIX_PATTERN.test(service.prefix))) {
+            return 'Service prefixes must be 1 to 3 capital English letters';
+        }
+        if (services.some(service => service.digits !== undefined && (!Number.isSafeInteger(service.digits) || service.digits < 1 || service.digits > MAX_SERVICE_DIGITS))) {
+            return `Service digits must be a whole number from 1 to ${MAX_SERVICE_DIGITS}`;
+        }
+        if (new Set(services.map(service => service.prefix)).size !== services.length) {
+            return 'Service prefixes must be different from each other';
+        }
+        if (new Set(services.map(service => service.name.trim())).size !== services.length) {
+            return 'Service names must be different from each other';
+        }
+        return null;
+    }
+
+    // Load the ticket signing key from disk, generating one on first start
+    async loadTicketSecret() {
+        try {
+            const secretHex = (await fs.readFile(this.secretFile, 'utf8')).trim();
+            if (/^[0-9a-f]{64,}$/i.test(secretHex)) {
+                this.ticketSecret = Buffer.from(secretHex, 'hex');
+                console.log('🔑 Ticket signing key loaded');
+                return;
+            }
+            console.warn('⚠️ Ticket signing key file is invalid, generating a new key');
+        } catch {
+            console.log('🔑 No ticket signing key found, generating one');
+        }
+
+        this.ticketSecret = crypto.randomBytes(32);
+        await writeFileAtomic(this.secretFile, this.ticketSecret.toString('hex'), { mode: 0o600 });
+    }
+
+    // Encode a buffer as URL-safe Base64 without padding
+    toBase64Url(buffer) {
+        return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    // Decode URL-safe Base64
+    fromBase64Url(text) {
+        return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+    }
+
+    // HMAC-SHA256 signature over an encoded token payload
+    signTicketPayload(encodedPayload) {
+        return crypto.createHmac('sha256', this.ticketSecret).update(encodedPayload).digest();
+    }
+
+    // Mint a signed ticket token (format: base64url(payload).base64url(signature))
+    createTicketToken(queueName, ticket) {
+        const issuedAt = Date.now();
+        const payload = {
+            q: queueName,
+            id: ticket.id,
+            n: ticket.number,
+            iat: issuedAt,
+            exp: issuedAt + this.ticketTtlMs
+        };
+        const encodedPayload = this.toBase64Url(Buffer.from(JSON.stringify(payload), 'utf8'));
+        return `${encodedPayload}.${this.toBase64Url(this.signTicketPayload(encodedPayload))}`;
+    }
+
+    // Check a ticket token's signature and expiry; returns { payload } or { statusCode, error }
+    verifyTicketToken(token) {
+        const invalid = { statusCode: 401, error: 'This ticket link is not valid. Please scan the QR code on your ticket again.' };
+        if (typeof token !== 'string' || token.split('.').length !== 2) {
+            return invalid;
+        }
+
+        const [encodedPayload, encodedSignature] = token.split('.');
+        const expected = this.signTicketPayload(encodedPayload);
+        const actual = this.fromBase64Url(encodedSignature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            return invalid;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(this.fromBase64Url(encodedPayload).toString('utf8'));
+        } catch {
+            return invalid;
+        }
+
+        if (typeof payload.exp !== 'number' || payload.exp <= Date.now()) {
+            return { statusCode: 410, error: 'This ticket has expired. Please ask the counter for a new ticket.' };
+        }
+
+        return { payload };
+    }
+
+    // Read a queue's backup document, or null if it has none. Any other failure is thrown: taking an
+    // unreadable document for a missing one would let the next change overwrite it with an empty queue.
+    async loadQueueBackup(queueName) {
+        const data = await this.storage.loadQueue(queueName);
+        return data ? { queueName, data } : null;
+    }
+
+    // Write a queue's backup document and push the new state to live displays; resolves to the stored document
+    async saveQueueBackup(queueName, data) {
+        const stored = await this.storage.saveQueue(queueName, data);
+        this.broadcastQueueState(queueName, stored);
+        return stored;
+    }
+
+    // Append one event ({ type, ... }) to a queue's journal; journal failures are logged, never fatal
+    async appendJournalEvent(queueName, event) {
+        const entry = { at: new Date().toISOString(), ...event };
+        try {
+            await this.storage.appendEvent(queueName, entry);
+        } catch (error) {
+            console.error(`❌ Failed to journal ${event.type} for "${queueName}":`, error);
+        }
+        return entry;
+    }
+
+    // Read a queue's journal in order, from its latest queue-created on. Journals outlive a deleted queue,
+    // so a name created again must not see (or restore) the previous owner's events.
+    async readJournal(queueName) {
+        const events = await this.storage.readEvents(queueName);
+        const created = events.map(event => event.type).lastIndexOf('queue-created');
+        return created === -1 ? events : events.slice(created);
+    }
+
+    // Handle listing a queue's journal (optionally only events after ?since=)
+    async handleGetJournal(req, res, queueName, query) {
+        if (!this.requireSession(req, res, queueName)) {
+            return;
+        }
+
+        const since = query.since ? Date.parse(query.since) : null;
+        if (query.since && isNaN(since)) {
+            this.sendJson(res, 400, { error: 'since must be an ISO timestamp' });
+            return;
+        }
+
+        const events = await this.readJournal(queueName);
+        this.sendJson(res, 200, {
+            queueName,
+            events: since === null ? events : events.filter(event => Date.parse(event.at) > since)
+        });
+    }
+
+    // Handle restoring a queue to its state at a point in time by replaying its journal
+    async handleRestoreQueue(req, res, queueName) {
+        try {
+            if (!this.requireSession(req, res, queueName)) {
+                return;
+            }
+
+            const { timestamp } = await this.getJsonBody(req);
+            const restoreTo = Date.parse(timestamp);
+            if (typeof timestamp !== 'string' || isNaN(restoreTo)) {
+                this.sendJson(res, 400, { error: 'timestamp must be an ISO timestamp' });
+                return;
+            }
+
+            const isBefore = event => Date.parse(event.at) <= restoreTo;
+            if (!(await this.readJournal(queueName)).some(isBefore)) {
+                this.sendJson(res, 422, { error: 'The journal has no events at or before that time' });
+                return;
+            }
+
+            const { data, replayed } = await this.mutateQueue(queueName, async () => {
+                const events = (await this.readJournal(queueName)).filter(isBefore);
+                const restored = QueueState.replay(queueName, events);
+                restored.lastUpdated = new Date().toISOString();
+                return {
+                    data: restored,
+                    replayed: events.length,
+                    event: { type: 'queue-restored', restoredTo: new Date(restoreTo).toISOString(), state: restored }
+                };
+            });
+
+            console.log(`⏪ Queue "${queueName}" restored to ${new Date(restoreTo).toISOString()} (${replayed} events replayed)`);
+            this.sendJson(res, 200, { restoredTo: new Date(restoreTo).toISOString(), eventsReplayed: replayed, state: data });
+        } catch (error) {
+            console.error(`❌ Failed to restore "${queueName}":`, error);
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    // Handle a Server-Sent Events stream of state changes for one queue
+    async handleQueueEvents(req, res, queueName) {
+        if (!(await this.storage.getCredential(queueName))) {
+            this.sendJson(res, 404, { error: 'Queue not found' });
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        // Ask EventSource to reconnect after 5 seconds if the stream drops
+        res.write('retry: 5000\n\n');
+
+        if (!this.eventClients.has(queueName)) {
+            this.eventClients.set(queueName, new Set());
+        }
+        const clients = this.eventClients.get(queueName);
+        clients.add(res);
+        this.startEventHeartbeat();
+
+        req.on('close', () => {
+            clients.delete(res);
+            if (clients.size === 0) {
+                this.eventClients.delete(queueName);
+            }
+        });
+
+        // Send the current state straight away so the display starts in sync
+        const backup = await this.loadQueueBackup(queueName);
+        if (backup && backup.data) {
+            this.writeQueueEvent(res, backup.data);
+        }
+    }
+
+    // Write one "state" event to an event stream
+    writeQueueEvent(res, data) {
+        res.write(`event: state\nid: ${data.version || 0}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // Push a queue's new state to every open event stream for it
+    broadcastQueueState(queueName, data) {
+        const clients = this.eventClients.get(queueName);
+        if (!clients) {
+            return;
+        }
+        for (const res of clients) {
+            this.writeQueueEvent(res, data);
+        }
+        console.log(`📺 Pushed version ${data.version || 0} of "${queueName}" to ${clients.size} display(s)`);
+    }
+
+    // Keep idle event streams open through proxies with a comment line every 25 seconds
+    startEventHeartbeat() {
+        if (this.eventHeartbeatInterval) {
+            return;
+        }
+        this.eventHeartbeatInterval = setInterval(() => {
+            for (const clients of this.eventClients.values()) {
+                for (const res of clients) {
+                    res.write(': heartbeat\n\n');
+                }
+            }
+        }, 25 * 1000);
+    }
+
+    // Close every event stream (used on shutdown)
+    closeEventStreams() {
+        if (this.eventHeartbeatInterval) {
+            clearInterval(this.eventHeartbeatInterval);
+            this.eventHeartbeatInterval = null;
+        }
+        for (const clients of this.eventClients.values()) {
+            for (const res of clients) {
+                res.end();
+            }
+        }
+        this.eventClients.clear();
+    }
+
+    // Parse an If-Match / If-None-Match value ("3", W/"3" or 3) into a version number
+    parseVersionHeader(value) {
+        if (typeof value !== 'string') {
+            return null;
+        }
+        const match = value.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    // Run a task for one queue at a time so concurrent requests cannot interleave
+    async withQueueLock(queueName, task) {
+        const previous = this.queueLocks.get(queueName) || Promise.resolve();
+        const run = previous.then(task);
+        const tail = run.catch(() => {});
+        this.queueLocks.set(queueName, tail);
+
+        try {
+            return await run;
+        } finally {
+            if (this.queueLocks.get(queueName) === tail) {
+                this.queueLocks.delete(queueName);
+            }
+        }
+    }
+
+    // Load a queue's data, apply a change and save it, all under the queue lock.
+    // The mutator may return { data } to replace the document, { event } to journal the change,
+    // { unchanged: true } to leave it untouched, and any other fields to pass back.
+    async mutateQueue(queueName, mutator) {
+        return this.withQueueLock(queueName, async () => {
+            const backup = await this.loadQueueBackup(queueName);
+            let data = backup && backup.data ? backup.data : QueueState.getDefaultData(queueName);
+
+            const previousVersion = data.version || 0;
+            const outcome = (await mutator(data)) || {};
+            if (outcome.unchanged) {
+                return { ...outcome, data };
+            }
+            if (outcome.data) {
+                data = outcome.data;
+            }
+            data.queueName = queueName;
+            data.version = previousVersion + 1;
+
+            data = await this.saveQueueBackup(queueName, data);
+            if (outcome.event) {
+                await this.appendJournalEvent(queueName, { ...outcome.event, version: data.version });
+            }
+            return { ...outcome, data };
+        });
+    }
+
+    // Like mutateQueue, but when the request has If-Match the change is only made to that version;
+    // otherwise the result has conflict: true
+    async mutateQueueIfMatch(req, queueName, mutator) {
+        const expectedVersion = req.headers['if-match'] === undefined ? null : this.parseVersionHeader(req.headers['if-match']);
+        return this.mutateQueue(queueName, state => {
+            if (expectedVersion !== null && (state.version || 0) !== expectedVersion) {
+                return { conflict: true, unchanged: true };
+            }
+            return mutator(state);
+        });
+    }
+
+    // Handle calling a waiting ticket out of turn, or serve / complete / no-show / recall / requeue of a called one, or cancel a waiting one
+    // (see QueueState.TICKET_ACTIONS). Requeue takes { positions }: how many other tickets are called before this one again.
+    async handleTicketAction(req, res, queueName, ticketId, action) {
+        const session = this.requireSession(req, res, queueName);
+        if (!session) {
+            return;
+        }
+        if (!Object.prototype.hasOwnProperty.call(QueueState.TICKET_ACTIONS, action)) {
+            this.sendJson(res, 400, { error: `Unknown ticket action "${action}" (expected one of: ${Object.keys(QueueState.TICKET_ACTIONS).join(', ')})` });
+            return;
+        }
+        if (!/^\d+$/.test(ticketId) || !Number.isSafeInteger(Number(ticketId))) {
+            this.sendJson(res, 400, { error: 'Ticket id must be a whole number' });
+            return;
+        }
+
+        try {
+            const { positions } = await this.getJsonBody(req);
+            if (action === 'requeue' && (!Number.isSafeInteger(positions) || positions < 0 || positions > MAX_REQUEUE_POSITIONS)) {
+                this.sendJson(res, 400, { error: `positions must be a whole number from 0 to ${MAX_REQUEUE_POSITIONS}` });
+                return;
+            }
+
+            const { ticket, data, conflict, ticketError, needsCounter } = await this.mutateQueueIfMatch(req, queueName, state => {
+                // Calls and recalls go to the calling distributor's counter, like call-next
+                const hasCounter = state.counters.some(counter => counter.id === session.counterId);
+                if (action === 'call' && state.counters.length > 0 && !hasCounter) {
+                    return { needsCounter: true, unchanged: true };
+                }
+                // Whoever calls or serves a ticket is recorded as handling it
+                const handles = ['call', 'recall', 'serve'].includes(action);
+                const counterId = handles && hasCounter ? session.counterId : null;
+                const staff = handles ? session.staffName : null;
+                try {
+                    // The journal gets the same time, so replaying it rebuilds recentCalls exactly
+                    const now = new Date();
+                    const updated = QueueState.updateTicket(state, Number(ticketId), action, { counterId, staff, positions }, now);
+                    const event = { type: 'ticket-updated', at: now.toISOString(), action, ticket: updated };
+                    if (counterId !== null) {
+                        event.counterId = counterId;
+                    }
+                    if (staff) {
+                        event.staff = staff;
+                    }
+                    if (action === 'requeue') {
+                        event.positions = positions;
+                    }
+                    return { ticket: updated, event };
+                } catch (error) {
+                    return { ticketError: error, unchanged: true };
+                }
+            });
+
+            if (conflict) {
+                this.sendVersionConflict(res, data);
+                return;
+            }
+            if (needsCounter) {
+                this.sendJson(res, 400, { error: 'Choose your counter before calling', needsCounter: true, state: data });
+                return;
+            }
+            if (ticketError) {
+                this.sendJson(res, ticketError.statusCode || 400, { error: ticketError.message, state: data });
+                return;
+            }
+
+            console.log(`🎫 Ticket ${QueueState.getTicketLabel(ticket)} in "${queueName}" is now ${ticket.status}`);
+            this.sendJson(res, 200, { ticket, state: data });
+        } catch (error) {
+            console.error(`❌ Failed to ${action} ticket ${ticketId} for "${queueName}":`, error);
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    // Handle issue / call-next / reset for a queue.
+    // An optional If-Match applies the operation only to that version (used when replaying offline operations).
+    async handleQueueOperation(req, res, queueName, operation) {
+        const session = this.requireSession(req, res, queueName);
+        if (!session) {
+            return;
+        }
+
+        const mutate = mutator => this.mutateQueueIfMatch(req, queueName, mutator);
+
+        try {
+            // Tickets and calls may name a service (an unknown one is answered with 400 below); tickets may be priority
+            const { service: serviceId = null, priority = false } = operation === 'reset' ? {} : await this.getJsonBody(req);
+            if (typeof priority !== 'boolean') {
+                this.sendJson(res, 400, { error: 'priority must be true or false' });
+                return;
+            }
+            const unknownService = state => serviceId !== null && !QueueState.getService(state, serviceId);
+
+            if (operation === 'tickets') {
+                const { ticket, data, conflict, serviceError } = await mutate(state => {
+                    // A queue with services numbers every ticket within one of them
+                    if (unknownService(state) || (state.services.length > 0 && serviceId === null)) {
+                        return { serviceError: true, unchanged: true };
+                    }
+                    const issued = QueueState.issueTicket(state, new Date(), serviceId, priority);
+                    return { ticket: issued, event: { type: 'ticket-issued', ticket: issued } };
+                });
+                if (conflict) {
+                    this.sendVersionConflict(res, data);
+                    return;
+                }
+                if (serviceError) {
+                    this.sendJson(res, 400, { error: 'Choose one of this queue\'s services for the ticket', needsService: true, state: data });
+                    return;
+                }
+                const token = this.createTicketToken(queueName, ticket);
+
+                console.log(`✅ ${ticket.priority ? 'Priority ticket' : 'Ticket'} ${QueueState.getTicketLabel(ticket)} issued for "${queueName}"`);
+                this.sendJson(res, 201, { ticket, token, state: data });
+            }
+            else if (operation === 'call-next') {
+                const { ticket, data, conflict, needsCounter, serviceError } = await mutate(state => {
+                    if (unknownService(state)) {
+                        return { serviceError: true, unchanged: true };
+                    }
+                    // A queue with counters needs to know which one the patient should go to
+                    if (state.counters.length > 0 && !state.counters.some(counter => counter.id === session.counterId)) {
+                        return { needsCounter: true, unchanged: true };
+                    }
+                    const now = new Date();
+                    const handler = { counterId: state.counters.length > 0 ? session.counterId : null, staff: session.staffName };
+                    const called = QueueState.callNext(state, now, handler, serviceId);
+                    if (!called) {
+                        return { ticket: null, unchanged: true };
+                    }
+                    return { ticket: called, event: { type: 'ticket-called', at: now.toISOString(), ticket: called } };
+                });
+
+                if (conflict) {
+                    this.sendVersionConflict(res, data);
+                    return;
+                }
+                if (serviceError) {
+                    this.sendJson(res, 400, { error: 'Unknown service for this queue', state: data });
+                    return;
+                }
+                if (needsCounter) {
+                    this.sendJson(res, 400, { error: 'Choose your counter before calling', needsCounter: true, state: data });
+                    return;
+                }
+                if (!ticket) {
+                    this.sendJson(res, 409, { error: 'No more queues to call', state: data });
+                    return;
+                }
+
+                const counterText = ticket.counter ? ` to ${QueueState.getCounterName(data, ticket.counter)}` : '';
+                console.log(`📢 Calling ticket ${QueueState.getTicketLabel(ticket)} for "${queueName}"${counterText}`);
+                this.sendJson(res, 200, { ticket, state: data });
+            }
+            else if (operation === 'reset') {
+                const { data, conflict } = await mutate(state => ({
+                    data: QueueState.reset(state),
+                    event: { type: 'queue-reset' }
+                }));
+                if (conflict) {
+                    this.sendVersionConflict(res, data);
+                    return;
+                }
+
+                console.log(`🔄 Queue "${queueName}" reset`);
+                this.sendJson(res, 200, { state: data });
+            }
+        } catch (error) {
+            console.error(`❌ Failed to ${operation} for "${queueName}":`, error);
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    // Reject an operation based on an older version of the queue
+    sendVersionConflict(res, state) {
+        res.setHeader('ETag', `"${state.version || 0}"`);
+        this.sendJson(res, 409, { error: 'Queue data was changed elsewhere', conflict: true, state });
+    }
+
+    // Handle setting (or clearing with rolloverTime: null) a queue's daily rollover time
+    async handleQueueSettings(req, res, queueName) {
+        try {
+            if (!this.requireSession(req, res, queueName)) {
+                return;
+            }
+
+            const { rolloverTime, timeZone = BusinessDay.defaultTimeZone() } = await this.getJsonBody(req);
+            if (rolloverTime !== null && !BusinessDay.isValidTime(rolloverTime)) {
+                this.sendJson(res, 400, { error: 'rolloverTime must be HH:MM (24-hour) or null' });
+                return;
+            }
+            if (rolloverTime !== null && !BusinessDay.isValidTimeZone(timeZone)) {
+                this.sendJson(res, 400, { error: `Unknown time zone "${timeZone}"` });
+                return;
+            }
+
+            const { data } = await this.mutateQueue(queueName, state => {
+                const now = new Date();
+                const previous = state.rollover || {};
+                const rollover = rolloverTime === null ? null : {
+                    time: rolloverTime,
+                    timeZone,
+                    configuredAt: now.toISOString(),
+                    lastRolloverAt: previous.lastRolloverAt || null,
+                    nextRolloverAt: BusinessDay.nextRollover(now, rolloverTime, timeZone).toISOString()
+                };
+                state.rollover = rollover;
+                return { event: { type: 'rollover-configured', rollover } };
+            });
+
+            console.log(rolloverTime === null
+                ? `⚙️ Daily rollover turned off for "${queueName}"`
+                : `⚙️ Daily rollover for "${queueName}" set to ${rolloverTime} ${timeZone}`);
+            this.sendJson(res, 200, { state: data });
+        } catch (error) {
+            console.error(`❌ Failed to update settings for "${queueName}":`, error);
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    // Handle choosing the order priority and regular tickets are called in
+    async handleCallingPolicy(req, res, queueName) {
+        try {
+            if (!this.requireSession(req, res, queueName)) {
+                return;
+            }
+
+            const { mode, regularPerPriority = QueueState.DEFAULT_CALLING_POLICY.regularPerPriority } = await this.getJsonBody(req);
+            if (!QueueState.CALLING_POLICY_MODES.includes(mode)) {
+                this.sendJson(res, 400, { error: `mode must be one of: ${QueueState.CALLING_POLICY_MODES.join(', ')}` });
+                return;
+            }
+            if (!Number.isSafeInteger(regularPerPriority) || regularPerPriority < 1 || regularPerPriority > MAX_REGULAR_PER_PRIORITY) {
+                this.sendJson(res, 400, { error: `regularPerPriority must be a whole number from 1 to ${MAX_REGULAR_PER_PRIORITY}` });
+                return;
+            }
+
+            const { data } = await this.mutateQueue(queueName, state => {
+                const callingPolicy = { mode, regularPerPriority };
+                state.callingPolicy = callingPolicy;
+                return { event: { type: 'calling-policy-updated', callingPolicy } };
+            });
+
+            console.log(`⚖️ Calling policy for "${queueName}" set to ${mode}${mode === 'interleave' ? ` (1 priority per ${regularPerPriority} regular)` : ''}`);
+            this.sendJson(res, 200, { state: data });
+        } catch (error) {
+            console.error(`❌ Failed to update calling policy for "${queueName}":`, error);
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    // Handle the take-number page's question of whether it may issue tickets, and for which services
+    async handleSelfServiceInfo(res, queueName) {
+        try {
+            if (!(await this.storage.getCredential(queueName))) {
+                this.sendJson(res, 404, { error: 'Queue not found' });
+                return;
+            }
+
+            const data = await this.storage.loadQueue(queueName);
+            this.sendJson(res, 200, {
+                queueName,
+                enabled: Boolean(data && data.selfService),
+                services: data ? data.services.map(({ id, name, prefix }) => ({ id, name, prefix })) : []
+            });
+        } catch (error) {
+            console.error(`❌ Failed to read take-number page info for "${queueName}":`, error);
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    // Handle turning the take-number page on or off ({ enabled })
+    async handleSelfServiceSetting(req, res, queueName) {
+        try {
+            if (!this.requireSession(req, res, queueName)) {
+                return;
+            }
+
+            const { enabled } = await this.getJsonBody(req);
+            if (typeof enabled !== 'boolean') {
+                this.sendJson(res, 400, { error: 'enabled must be true or false' });
+                return;
+            }
+
+            const { data } = await this.mutateQueue(queueName, state => {
+                state.selfService = enabled;
+                return { event: { type: 'self-service-updated', selfService: enabled } };
+            });
+
+            console.log(`🎟️ Take-number page for "${queueName}" turned ${enabled ? 'on' : 'off'}`);
+            this.sendJson(res, 200, { state: data });
+        } catch (error) {
+            console.error(`❌ Failed to update the take-number page for "${queueName}":`, error);
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    // Tickets a device or address took from the take-number page within the window
+    getRecentSelfServiceTickets(key, now) {
+        const entry = this.selfServiceIssued.get(key);
+        return entry ? entry.times.filter(at => at > now - SELF_SERVICE_WINDOW_MS) : [];
+    }
+
+    // Forget devices and addresses whose tickets are all older than the window
+    pruneSelfServiceTickets(now) {
+        for (const [key, entry] of this.selfServiceIssued) {
+            if (entry.times.every(at => at <= now - SELF_SERVICE_WINDOW_MS)) {
+                this.selfServiceIssued.delete(key);
+            }
+        }
+    }
+
+    // Give back a take-number slot recorded at a time whose ticket was never saved
+    releaseSelfServiceTicket(key, at) {
+        const entry = this.selfServiceIssued.get(key);
+        if (!entry) {
+            return;
+        }
+        const times = entry.times.filter(time => time !== at);
+        if (times.length > 0) {
+            this.selfServiceIssued.set(key, { ...entry, times });
+        } else {
+            this.selfServiceIssued.delete(key);
+        }
+    }
+
+    // Handle a patient taking a number from the public take-number page ({ service } when the queue has services).
+    // Answers 429 once the device or its address took its share; a device that already has a ticket gets its link back.
+    async handleSelfServiceTicket(req, res, queueName) {
+        try {
+            const { service: serviceId = null } = await this.getJsonBody(req);
+            if (!(await this.storage.getCredential(queueName))) {
+                this.sendJson(res, 404, { error: 'Queue not found' });
+                return;
+            }
+
+            let deviceId = this.parseCookies(req)[this.deviceCookie];
+            if (!DEVICE_ID_PATTERN.test(deviceId || '')) {
+                deviceId = crypto.randomBytes(16).toString('hex');
+            }
+            res.setHeader('Set-Cookie', `${this.deviceCookie}=${deviceId}; HttpOnly; SameSite=Lax; Path=/; Max-Age=${365 * 24 * 60 * 60}`);
+
+            const deviceKey = `${queueName}|device:${deviceId}`;
+            const addressKey = `${queueName}|address:${req.socket.remoteAddress}`;
+            let reservedAt = null;
+            let outcome;
+            try {
+                outcome = await this.mutateQueue(queueName, state => {
+                    // Checked and recorded under the queue lock, so parallel requests cannot all slip under the limit
+                    const now = Date.now();
+                    this.pruneSelfServiceTickets(now);
+                    const deviceTimes = this.getRecentSelfServiceTickets(deviceKey, now);
+                    const addressTimes = this.getRecentSelfServiceTickets(addressKey, now);
+                    const limited = deviceTimes.length >= SELF_SERVICE_TICKETS_PER_DEVICE ? deviceTimes
+                        : addressTimes.length >= SELF_SERVICE_TICKETS_PER_ADDRESS ? addressTimes
+                        : null;
+                    if (limited) {
+                        return {
+                            limited: true,
+                            retryAfter: Math.ceil((limited[0] + SELF_SERVICE_WINDOW_MS - now) / 1000),
+                            previous: limited === deviceTimes ? this.selfServiceIssued.get(deviceKey).token : null,
+                            unchanged: true
+                        };
+                    }
+
+                    if (!state.selfService) {
+                        return { disabled: true, unchanged: true };
+                    }
+                    // Same rule as the distributor: a queue with services numbers every ticket within one of them
+                    if ((serviceId !== null && !QueueState.getService(state, serviceId)) || (state.services.length > 0 && serviceId === null)) {
+                        return { serviceError: true, unchanged: true };
+                    }
+                    const issued = QueueState.issueTicket(state, new Date(now), serviceId);
+                    const token = this.createTicketToken(queueName, issued);
+                    this.selfServiceIssued.set(deviceKey, { times: [...deviceTimes, now], token });
+                    this.selfServiceIssued.set(addressKey, { times: [...addressTimes, now], token: null });
+                    reservedAt = now;
+                    return { ticket: issued, token, event: { type: 'ticket-issued', source: 'self-service', ticket: issued } };
+                });
+            } catch (error) {
+                // The ticket was never saved, so it does not count against the limits
+                if (reservedAt !== null) {
+                    this.releaseSelfServiceTicket(deviceKey, reservedAt);
+                    this.releaseSelfServiceTicket(addressKey, reservedAt);
+                }
+                throw error;
+            }
+
+            const { ticket, token, limited, retryAfter, previous, disabled, serviceError } = outcome;
+            if (limited) {
+                res.setHeader('Retry-After', String(retryAfter));
+                console.log(`🚦 Take-number request for "${queueName}" refused: limit reached`);
+                this.sendJson(res, 429, {
+                    error: previous ? 'You already took a number from this device' : 'Too many numbers were taken from this network. Please try again shortly or ask at the desk.',
+                    retryAfter,
+                    token: previous
+                });
+                return;
+            }
+            if (disabled) {
+                this.sendJson(res, 403, { error: 'Taking a number online is not available for this queue. Please ask at the desk.' });
+                return;
+            }
+            if (serviceError) {
+                this.sendJson(res, 400, { error: 'Choose one of this queue\'s services', needsService: true });
+                return;
+            }
+
+            console.log(`🎟️ Ticket ${QueueState.getTicketLabel(ticket)} taken from the take-number page of "${queueName}"`);
+            this.sendJson(res, 201, { queueName, number: ticket.number, label: QueueState.getTicketLabel(ticket), token });
+        } catch (error) {
+            console.error(`❌ Failed to issue a take-number ticket for "${queueName}":`, error);
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    // Handle listing a queue's closed business days
+    async handleGetHistory(req, res, queueName) {
+        if (!this.requireSession(req, res, queueName)) {
+            return;
+        }
+        this.sendJson(res, 200, { queueName, days: await this.storage.readHistory(queueName) });
+    }
+
+    // Handle downloading a queue's full data as JSON or CSV
+    async handleExportQueue(req, res, queueName, query) {
+        if (!this.requireSession(req, res, queueName)) {
+            return;
+        }
+
+        const format = query.format || 'json';
+        if (!['json', 'csv'].includes(format)) {
+            this.sendJson(res, 400, { error: 'format must be "json" or "csv"' });
+            return;
+        }
+
+        const backup = await this.loadQueueBackup(queueName);
+        const data = backup ? backup.data : QueueState.getDefaultData(queueName);
+        const date = new Date().toISOString().slice(0, 10);
+        const filename = `queue-${queueName}-${date}.${format}`;
+
+        res.writeHead(200, {
+            'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json',
+            'Content-Disposition': `attachment; filename="${encodeURIComponent(filename)}"; filename*=UTF-8''${encodeURIComponent(filename)}`,
+            'Cache-Control': 'no-store'
+        });
+        res.end(format === 'csv' ? QueueTransfer.toCsv(data) : QueueTransfer.toJson(queueName, data));
+        console.log(`📤 Exported "${queueName}" as ${format} (${data.queues.length} tickets)`);
+    }
+
+    // Handle importing a queue's data. Without confirm: true only a preview is returned;
+    // the confirming request must send If-Match with the version the preview showed.
+    async handleImportQueue(req, res, queueName) {
+        try {
+            if (!this.requireSession(req, res, queueName)) {
+                return;
+            }
+
+            const { format, content, confirm } = await this.getJsonBody(req);
+            const { data, errors } = QueueTransfer.parse(queueName, format, content);
+            if (!data) {
+                this.sendJson(res, 422, { error: 'The file cannot be imported', errors });
+                return;
+            }
+
+            const current = await this.loadQueueBackup(queueName);
+            const currentVersion = current ? current.data.version || 0 : 0;
+
+            // Checked before the preview so a file the queue would reject is never offered for confirming
+            const fitErrors = QueueTransfer.checkFits(data, current ? current.data : QueueState.getDefaultData(queueName));
+            if (fitErrors.length > 0) {
+                this.sendJson(res, 422, { error: 'The file cannot be imported into this queue', errors: fitErrors });
+                return;
+            }
+
+            if (confirm !== true) {
+                this.sendJson(res, 200, {
+                    preview: QueueTransfer.summarize(data),
+                    replaces: current ? QueueTransfer.summarize(current.data) : null,
+                    version: currentVersion
+                });
+                return;
+            }
+
+            const expectedVersion = this.parseVersionHeader(req.headers['if-match']);
+            if (expectedVersion === null) {
+                this.sendJson(res, 428, { error: 'If-Match header with the version from the preview is required' });
+                return;
+            }
+
+            const result = await this.mutateQueue(queueName, state => {
+                if ((state.version || 0) !== expectedVersion) {
+                    return { conflict: true, unchanged: true };
+                }
+                // Imports bring tickets, not settings
+                QueueState.copySettings(state, data);
+                return {
+                    data,
+                    event: { type: 'queue-imported', format, state: data }
+                };
+            });
+
+            if (result.conflict) {
+                this.sendJson(res, 409, { error: 'Queue data changed since the preview. Preview the import again.', state: result.data });
+                return;
+            }
+
+            console.log(`📥 Imported ${data.queues.length} tickets into "${queueName}" from ${format}`);
+            this.sendJson(res, 200, { imported: QueueTransfer.summarize(result.data), state: result.data });
+        } catch (error) {
+            console.error(`❌ Failed to import into "${queueName}":`, error);
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    // The time zone a queue's appointment times are in: its daily reset's, or the server's
+    getQueueTimeZone(state) {
+        return state && state.rollover && state.rollover.timeZone ? state.rollover.timeZone : BusinessDay.defaultTimeZone();
+    }
+
+    // Handle listing a queue's appointment book, each appointment with its slot time today
+    async handleGetAppointments(req, res, queueName) {
+        if (!this.requireSession(req, res, queueName)) {
+            return;
+        }
+
+        try {
+            const backup = await this.loadQueueBackup(queueName);
+            const appointments = await this.storage.loadAppointments(queueName);
+            const timeZone = this.getQueueTimeZone(backup && backup.data);
+            this.sendJson(res, 200, { queueName, timeZone, appointments: AppointmentBook.describe(appointments, new Date(), timeZone) });
+        } catch (error) {
+            console.error(`❌ Failed to read appointments for "${queueName}":`, error);
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    // Handle replacing a queue's appointment book with the day's appointments from CSV ({ content })
+    async handleImportAppointments(req, res, queueName) {
+        try {
+            if (!this.requireSession(req, res, queueName)) {
+                return;
+            }
+
+            const { content } = await this.getJsonBody(req);
+            // Under the queue lock so an import never overlaps a check-in
+            const result = await this.withQueueLock(queueName, async () => {
+                const backup = await this.loadQueueBackup(queueName);
+                const state = backup ? backup.data : QueueState.getDefaultData(queueName);
+                const { appointments, errors } = AppointmentBook.parseCsv(content, state.services);
+                if (!appointments) {
+                    return { errors };
+                }
+                await this.storage.saveAppointments(queueName, appointments);
+                return { appointments, timeZone: this.getQueueTimeZone(state) };
+            });
+
+            if (result.errors) {
+                this.sendJson(res, 422, { error: 'The appointments cannot be imported', errors: result.errors });
+                return;
+            }
+
+            // Only the count is journaled; the book holds patient names
+            await this.appendJournalEvent(queueName, { type: 'appointments-imported', count: result.appointments.length });
+            console.log(`📅 Imported ${result.appointments.length} appointments into "${queueName}"`);
+            this.sendJson(res, 200, { queueName, timeZone: result.timeZone, appointments: AppointmentBook.describe(result.appointments, new Date(), result.timeZone) });
+        } catch (error) {
+            console.error(`❌ Failed to import appointments into "${queueName}":`, error);
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    // Handle checking in a booked patient: issue their ticket, placed in line by their appointment time
+    async handleCheckIn(req, res, queueName, appointmentId) {
+        try {
+            if (!this.requireSession(req, res, queueName)) {
+                return;
+            }
+
+            const { ticket, appointment, data, checkInError } = await this.mutateQueue(queueName, async state => {
+                const appointments = await this.storage.loadAppointments(queueName);
+                const booked = appointments.find(a => a.id === Number(appointmentId));
+                if (booked && state.services.length > 0 && !QueueState.getService(state, booked.service)) {
+                    return { checkInError: QueueState.ticketError(400, `The service booked for ${booked.reference} no longer exists`), unchanged: true };
+                }
+                try {
+                    const now = new Date();
+                    const checkedIn = AppointmentBook.checkIn(state, appointments, Number(appointmentId), now, this.getQueueTimeZone(state));
+                    await this.storage.saveAppointments(queueName, appointments);
+                    return { ...checkedIn, event: { type: 'ticket-issued', ticket: checkedIn.ticket } };
+                } catch (error) {
+                    if (!error.statusCode) {
+                        throw error;
+                    }
+                    return { checkInError: error, unchanged: true };
+                }
+            });
+
+            if (checkInError) {
+                this.sendJson(res, checkInError.statusCode, { error: checkInError.message, state: data });
+                return;
+            }
+            const token = this.createTicketToken(queueName, ticket);
+
+            console.log(`📅 Appointment ${appointment.reference} checked in as ticket ${QueueState.getTicketLabel(ticket)} for "${queueName}"`);
+            this.sendJson(res, 201, { appointment, ticket, token, state: data });
+        } catch (error) {
+            console.error(`❌ Failed to check in appointment ${appointmentId} for "${queueName}":`, error);
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    // Find a ticket in a queue by id
+    async findTicket(queueName, ticketId) {
+        return this.storage.findTicket(queueName, ticketId);
+    }
+
+    // Handle minting a signed link for an issued ticket (distributor only)
+    async handleTicketToken(req, res, queueName, ticketId) {
+        if (!this.requireSession(req, res, queueName)) {
+            return;
+        }
+
+        const ticket = await this.findTicket(queueName, ticketId);
+        if (!ticket) {
+            this.sendJson(res, 404, { error: `Ticket ${ticketId} not found in queue "${queueName}"` });
+            return;
+        }
+
+        const token = this.createTicketToken(queueName, ticket);
+        console.log(`✅ Ticket token issued for ${queueName} #${QueueState.getTicketLabel(ticket)}`);
+        this.sendJson(res, 200, { token, queueName, ticketId: ticket.id, number: ticket.number, label: QueueState.getTicketLabel(ticket) });
+    }
+
+    // Handle ticket verification for the patient page
+    async handleVerifyTicket(req, res) {
+        try {
+            const { token } = await this.getJsonBody(req);
+            const result = this.verifyTicketToken(token);
+            if (result.error) {
+                console.log('❌ Ticket rejected:', result.error);
+                this.sendJson(res, result.statusCode, { valid: false, error: result.error });
+                return;
+            }
+
+            const { q: queueName, id: ticketId, n: number, iat, exp } = result.payload;
+
+            if (!(await this.storage.getCredential(queueName))) {
+                this.sendJson(res, 404, { valid: false, error: 'Queue not found or expired' });
+                return;
+            }
+
+            const ticket = await this.findTicket(queueName, ticketId);
+            if (!ticket || ticket.number !== number) {
+                this.sendJson(res, 404, { valid: false, error: 'This ticket is no longer active. The queue may have been reset.' });
+                return;
+            }
+
+            this.sendJson(res, 200, {
+                valid: true,
+                queueName,
+                ticketId,
+                number,
+                label: QueueState.getTicketLabel(ticket),
+                service: ticket.service === undefined ? null : ticket.service,
+                issuedAt: new Date(iat).toISOString(),
+                expiresAt: new Date(exp).toISOString()
+            });
+        } catch (error) {
+            console.error('❌ Ticket verification failed:', error);
+            this.sendJson(res, error.statusCode || 500, { valid: false, error: error.message });
+        }
+    }
+
+    // Handle a patient giving up their number. The ticket token is the only credential, so a patient
+    // can cancel their own ticket and nobody else's; only tickets still waiting can be cancelled.
+    async handleCancelTicket(req, res) {
+        try {
+            const { token } = await this.getJsonBody(req);
+            const result = this.verifyTicketToken(token);
+            if (result.error) {
+                console.log('❌ Ticket rejected:', result.error);
+                this.sendJson(res, result.statusCode, { error: result.error });
+                return;
+            }
+
+            const { q: queueName, id: ticketId, n: number } = result.payload;
+            if (!(await this.storage.getCredential(queueName))) {
+                this.sendJson(res, 404, { error: 'Queue not found or expired' });
+                return;
+            }
+
+            const { ticket, ticketError } = await this.mutateQueue(queueName, state => {
+                const current = state.queues.find(q => q.id === ticketId);
+                if (!current || current.number !== number) {
+                    return { ticketError: QueueState.ticketError(404, 'This ticket is no longer active. The queue may have been reset.'), unchanged: true };
+                }
+                try {
+                    const now = new Date();
+                    const updated = QueueState.updateTicket(state, ticketId, 'cancel', {}, now);
+                    return { ticket: updated, event: { type: 'ticket-updated', at: now.toISOString(), action: 'cancel', ticket: updated } };
+                } catch (error) {
+                    return { ticketError: error, unchanged: true };
+                }
+            });
+
+            if (ticketError) {
+                this.sendJson(res, ticketError.statusCode || 400, { error: ticketError.message });
+                return;
+            }
+
+            console.log(`🚫 Ticket ${QueueState.getTicketLabel(ticket)} in "${queueName}" was cancelled by the patient`);
+            this.sendJson(res, 200, { cancelled: true, queueName, ticketId, number, label: QueueState.getTicketLabel(ticket), status: ticket.status });
+        } catch (error) {
+            console.error('❌ Ticket cancellation failed:', error);
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    // Check a password against a credentials entry, upgrading a legacy entry to a salted hash in place
+    async checkQueuePassword(queueName, queueAuth, password) {
+        if (!this.isLegacyAuthEntry(queueAuth)) {
+            return this.verifyPasswordHash(password, queueAuth.passwordHash);
+        }
+        if (!this.verifyLegacyPassword(password, queueAuth)) {
+            return false;
+        }
+
+        // Migrate to a salted hash now that we know the password
+        queueAuth.passwordHash = await this.hashPassword(password);
+        queueAuth.upgraded = new Date().toISOString();
+        delete queueAuth.password;
+        delete queueAuth.encrypted;
+        console.log(`🔒 Password storage upgraded for queue "${queueName}"`);
+        return true;
+    }
+
+    // Validate queue name and password sent by a client
+    validateCredentials(queueName, password) {
+        if (typeof queueName !== 'string' || typeof password !== 'string' || !queueName.trim() || !password) {
+            return 'Please enter both queue name and password';
+        }
+        if (!QUEUE_NAME_PATTERN.test(queueName)) {
+            return 'Queue name can only contain Thai letters, English letters, numbers, hyphens, underscores, and spaces';
+        }
+        if (!PASSWORD_PATTERN.test(password)) {
+            return 'Password must be 4-20 characters long and contain only English letters and numbers';
+        }
+        return null;
+    }
+
+    // Hash a password with a random salt (format: scrypt$salt$hash)
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16);
+        const hash = await scrypt(password, salt, 64);
+        return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+    }
+
+    // Check a password against a salted scrypt hash
+    async verifyPasswordHash(password, storedHash) {
+        const [algorithm, saltHex, hashHex] = storedHash.split('$');
+        if (algorithm !== 'scrypt' || !saltHex || !hashHex) {
+            return false;
+        }
+        const expected = Buffer.from(hashHex, 'hex');
+        const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    // Whether an auth entry still uses the old client-side password storage
+    isLegacyAuthEntry(queueAuth) {
+        return !queueAuth.passwordHash || !queueAuth.passwordHash.startsWith('scrypt$');
+    }
+
+    // Check a password against an entry written by the old login page
+    verifyLegacyPassword(password, queueAuth) {
+        const storedPassword = queueAuth.password;
+        const storedHash = queueAuth.passwordHash;
+
+        // Base64 + Caesar shift "encryption" (QMS_ prefix)
+        if (storedPassword && storedPassword.startsWith('QMS_')) {
+            return this.decryptLegacyPassword(storedPassword) === password;
+        }
+        // 32-bit string hash
+        if (storedHash) {
+            return this.legacyHashPassword(password) === storedHash;
+        }
+        // Plain text
+        return typeof storedPassword === 'string' && storedPassword === password;
+    }
+
+    // Reverse the old QMS_ password encoding (Base64, shift by 7, Base64)
+    decryptLegacyPassword(encryptedPassword) {
+        try {
+            let cleaned = encryptedPassword.substring(4);
+            const lastUnderscore = cleaned.lastIndexOf('_');
+            if (lastUnderscore > 0) {
+                cleaned = cleaned.substring(0, lastUnderscore);
+            }
+
+            const shifted = Buffer.from(cleaned, 'base64').toString('latin1');
+            let original = '';
+            for (let i = 0; i < shifted.length; i++) {
+                original += String.fromCharCode(shifted.charCodeAt(i) - 7);
+            }
+
+            return Buffer.from(original, 'base64').toString('latin1');
+        } catch {
+            return null;
+        }
+    }
+
+    // The old 32-bit string hash from login.js
+    legacyHashPassword(password) {
+        let hash = 0;
+        for (let i = 0; i < password.length; i++) {
+            const char = password.charCodeAt(i);
+            hash = ((hash << 5) - hash) + char;
+            hash = hash & hash; // Convert to 32-bit integer
+        }
+        return Math.abs(hash).toString(16);
+    }
+
+    // Handle login: verify credentials on the server
+    async handleLogin(req, res) {
+        try {
+            const { queueName, password } = await this.getJsonBody(req);
+
+            const validationError = this.validateCredentials(queueName, password);
+            if (validationError) {
+                this.sendJson(res, 400, { error: validationError });
+                return;
+            }
+
+            // A queue archived for inactivity comes back when its owner logs in again
+            let queueAuth = await this.storage.getCredential(queueName);
+            const archived = queueAuth ? null : await this.archive.findLatest(queueName);
+            const bundle = archived ? await this.archive.read(archived.archiveId) : null;
+            if (bundle) {
+                queueAuth = bundle.credential;
+            }
+            if (!queueAuth) {
+                this.sendJson(res, 404, { error: 'Queue not found' });
+                return;
+            }
+
+            if (!(await this.checkQueuePassword(queueName, queueAuth, password))) {
+                console.log(`❌ Invalid password for queue "${queueName}"`);
+                this.sendJson(res, 401, { error: 'Invalid password for existing queue' });
+                return;
+            }
+
+            queueAuth.lastAccessed = new Date().toISOString();
+            if (bundle) {
+                await this.restoreArchivedQueue(archived.archiveId, bundle, queueAuth);
+            } else {
+                await this.storage.putCredential(queueName, queueAuth);
+            }
+            await this.appendJournalEvent(queueName, { type: 'login' });
+
+            const session = this.createSession(queueName);
+            this.setSessionCookie(res, session);
+
+            console.log(`✅ Login successful for queue "${queueName}"`);
+            this.sendJson(res, 200, { success: true, queueName, expiresAt: new Date(session.expiresAt).toISOString() });
+        } catch (error) {
+            console.error('❌ Login failed:', error);
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    // Handle creating a new queue with its credentials and empty backup
+    async handleCreateQueue(req, res) {
+        try {
+            const { queueName, password } = await this.getJsonBody(req);
+
+            const validationError = this.validateCredentials(queueName, password);
+            if (validationError) {
+                this.sendJson(res, 400, { error: validationError });
+                return;
+            }
+
+            if (await this.storage.getCredential(queueName)) {
+                this.sendJson(res, 409, { error: `Queue "${queueName}" already exists` });
+                return;
+            }
+            // Taking the name would leave the archived queue impossible to restore
+            const archived = await this.archive.findLatest(queueName);
+            if (archived) {
+                this.sendJson(res, 409, {
+                    error: `Queue "${queueName}" is archived. Log in with its password to restore it.`,
+                    archiveId: archived.archiveId
+                });
+                return;
+            }
+
+            const now = new Date().toISOString();
+            await this.storage.putCredential(queueName, {
+                passwordHash: await this.hashPassword(password),
+                created: now,
+                lastAccessed: now
+            });
+
+            await this.initializeQueueBackup(queueName);
+
+            const session = this.createSession(queueName);
+            this.setSessionCookie(res, session);
+
+            console.log(`✅ Queue "${queueName}" created`);
+            this.sendJson(res, 201, { success: true, queueName, expiresAt: new Date(session.expiresAt).toISOString() });
+        } catch (error) {
+            console.error('❌ Failed to create queue:', error);
+            this.sendJson(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    // Write an empty backup file for a newly created queue
+    async initializeQueueBackup(queueName) {
+        await this.withQueueLock(queueName, async () => {
+            await this.saveQueueBackup(queueName, QueueState.getDefaultData(queueName));
+            await this.appendJournalEvent(queueName, { type: 'queue-created', version: 0 });
+        });
+        console.log(`✅ Queue backup initialized: ${queueName}`);
+    }
+
+    // Delete specific queue's credentials
+    async handleDeleteQueueAuth(req, res) {
+        try {
+            console.log('🔍 handleDeleteQueueAuth called');
+            
+            // Get the queue name from request body
+            const { queueName } = await this.getJsonBody(req);
+            console.log(`🗑️ Attempting to remove credentials for queue "${queueName}"`);
+            
+            if (!this.requireSession(req, res, queueName)) {
+                return;
+            }
             
-            const filename = `queue-backup-${backupData.queueName}.json`;
-            const filepath = path.join(this.backupDir, filename);
+            if (!(await this.storage.deleteCredential(queueName))) {
+                console.log(`📄 Queue "${queueName}" has no credentials`);
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: `Queue "${queueName}" not found in auth file` }));
+                return;
+            }
             
-            await fs.writeFile(filepath, JSON.stringify(backupData, null, 2));
+            this.revokeQueueSessions(queueName);
+            console.log(`✅ Credentials for queue "${queueName}" removed`);
             
             res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: true }));
-            console.log(`✅ Queue backup saved: ${filename}`);
+            res.end(JSON.stringify({ success: true, message: `Queue "${queueName}" removed from auth file` }));
+            
+        } catch (error) {
+            console.error('❌ Failed to remove queue from auth file:', error);
+            console.error('❌ Error stack:', error.stack);
+            res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Failed to remove queue from auth file: ' + error.message }));
+        }
+    }
+
+    // Handle saving queue backup
+    async handleSaveQueueBackup(req, res) {
+        try {
+            const backupData = await this.getJsonBody(req);
+            const queueName = backupData.queueName;
+            
+            if (!this.requireSession(req, res, queueName)) {
+                return;
+            }
+            
+            if (!backupData.data || typeof backupData.data !== 'object') {
+                this.sendJson(res, 400, { error: 'Backup data is required' });
+                return;
+            }
+            
+            // Writes must say which version they were based on
+            const expectedVersion = this.parseVersionHeader(req.headers['if-match']);
+            if (expectedVersion === null) {
+                this.sendJson(res, 428, { error: 'If-Match header with the expected backup version is required' });
+                return;
+            }
+            
+            const result = await this.withQueueLock(queueName, async () => {
+                const current = await this.loadQueueBackup(queueName);
+                const currentData = current && current.data ? current.data : null;
+                const currentVersion = currentData ? currentData.version || 0 : 0;
+                
+                if (expectedVersion !== currentVersion) {
+                    return { conflict: true, state: currentData };
+                }
+                
+                // Settings are managed through their own endpoints, not the saved document
+                const data = { ...backupData.data, queueName, version: currentVersion + 1 };
+                if (currentData) {
+                    QueueState.copySettings(currentData, data);
+                }
+                const stored = await this.saveQueueBackup(queueName, data);
+                await this.appendJournalEvent(queueName, { type: 'state-saved', version: stored.version, state: stored });
+                return { conflict: false, state: stored };
+            });
+            
+            if (result.conflict) {
+                console.log(`⚠️ Backup save conflict for "${queueName}": expected version ${expectedVersion}`);
+                res.setHeader('ETag', `"${result.state ? result.state.version || 0 : 0}"`);
+                this.sendJson(res, 409, {
+                    error: 'Queue data was changed elsewhere. Reload the latest state before saving.',
+                    conflict: true,
+                    state: result.state
+                });
+                return;
+            }
+            
+            res.setHeader('ETag', `"${result.state.version}"`);
+            this.sendJson(res, 200, { success: true, version: result.state.version, state: result.state });
+            console.log(`✅ Queue backup saved: ${queueName} (version ${result.state.version})`);
         } catch (error) {
             console.error('❌ Failed to save queue backup:', error);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: error.message }));
+            this.sendJson(res, error.statusCode || 500, { error: error.message, errors: error.errors });
         }
     }
 
     // Handle getting queue backup
-    async handleGetQueueBackup(res, queueName) {
+    async handleGetQueueBackup(req, res, queueName) {
         try {
-            const filename = `queue-backup-${queueName}.json`;
-            const filepath = path.join(this.backupDir, filename);
+            const backupData = await this.loadQueueBackup(queueName);
+            if (!backupData) {
+                throw new Error('Queue backup not found');
+            }
+            const version = backupData.data.version || 0;
             
-            const data = await fs.readFile(filepath, 'utf8');
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(data);
-            console.log(`✅ Queue backup served: ${filename}`);
+            // Conditional GET: nothing to send if the client already has this version
+            if (this.parseVersionHeader(req.headers['if-none-match']) === version) {
+                res.writeHead(304, { 'ETag': `"${version}"`, 'Cache-Control': 'no-cache' });
+                res.end();
+                return;
+            }
+            
+            res.writeHead(200, { 'Content-Type': 'application/json', 'ETag': `"${version}"`, 'Cache-Control': 'no-cache' });
+            res.end(JSON.stringify(backupData, null, 2));
+            console.log(`✅ Queue backup served: ${queueName}`);
         } catch (error) {
             console.log(`📄 Queue backup not found: ${queueName}`);
             res.writeHead(404, { 'Content-Type': 'application/json' });
@@ -613,26 +2416,22 @@ class QueueServer {
     }
 
     // Delete queue backup file
-    async handleDeleteQueueBackup(res, queueName) {
+    async handleDeleteQueueBackup(req, res, queueName) {
         try {
-            const filename = `queue-backup-${queueName}.json`;
-            const filepath = path.join(this.backupDir, filename);
-            
-            console.log('🗑️ Attempting to delete backup file:', filepath);
+            if (!this.requireSession(req, res, queueName)) {
+                return;
+            }
+
+            console.log('🗑️ Attempting to delete backup for:', queueName);
             
-            // Check if file exists first
-            try {
-                await fs.access(filepath);
-                console.log('📄 Backup file exists, proceeding to delete');
-            } catch {
-                console.log('📄 Backup file does not exist');
+            if (!(await this.withQueueLock(queueName, () => this.storage.deleteQueue(queueName)))) {
+                console.log('📄 Backup does not exist');
                 res.writeHead(200, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({ success: true, message: `Backup file for ${queueName} does not exist (already deleted)` }));
                 return;
             }
             
-            // Delete the file
-            await fs.unlink(filepath);
+            await this.appendJournalEvent(queueName, { type: 'queue-deleted', reason: 'user' });
             console.log('✅ Backup file successfully deleted');
             
             res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -645,21 +2444,16 @@ class QueueServer {
         }
     }
 
-    // Serve authentication file
-    async serveAuthFile(res) {
-        try {
-            const data = await fs.readFile(this.authFile, 'utf8');
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(data);
-        } catch (error) {
-            res.writeHead(404, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Auth file not found' }));
+    // Serve static files (only the public pages and their assets)
+    async serveStaticFile(req, res, pathname) {
+        const publicPath = pathname === '/' ? '/index.html' : pathname;
+        if (!this.publicFiles.has(publicPath)) {
+            res.writeHead(404, { 'Content-Type': 'text/html' });
+            res.end('<h1>404 Not Found</h1>');
+            return;
         }
-    }
 
-    // Serve static files
-    async serveStaticFile(req, res, pathname) {
-        const filePath = pathname === '/' ? './index.html' : `.${pathname}`;
+        const filePath = `.${publicPath}`;
         
         try {
             const data = await fs.readFile(filePath);
@@ -693,6 +2487,13 @@ class QueueServer {
     async shutdown() {
         console.log('🛑 Server shutting down...');
         this.stopCleanupScheduler();
+        this.stopSnapshotScheduler();
+        this.closeEventStreams();
+
+
+        // Capture the latest state and release storage before exiting
+        await this.takeSnapshots();
+        await this.storage.close();
         
         return new Promise((resolve) => {
             this.server.close(() => {
@@ -720,7 +2521,15 @@ process.on('SIGTERM', async () => {
     process.exit(0);
 });
 
-// Start the server
-const server = new QueueServer();
+// Start the server (settings can be overridden from the environment)
+const server = new QueueServer({
+    port: readEnvNumber('PORT'),
+    inactiveDays: readEnvNumber('QMS_INACTIVE_DAYS'),
+    rolloverCheckMs: readEnvNumber('QMS_ROLLOVER_CHECK_SECONDS') && readEnvNumber('QMS_ROLLOVER_CHECK_SECONDS') * 1000,
+    storage: process.env.QMS_STORAGE,
+    sqliteFile: process.env.QMS_SQLITE_FILE,
+    snapshotIntervalMs: readEnvNumber('QMS_SNAPSHOT_INTERVAL_SECONDS') && readEnvNumber('QMS_SNAPSHOT_INTERVAL_SECONDS') * 1000,
+    snapshotRetention: readEnvNumber('QMS_SNAPSHOT_RETENTION')
+});
 global.queueServer = server;
 server.start().catch(console.error);
\ No newline at end of file
@@ -4,6 +4,20 @@ class SimpleQueueBackup {
         this.queueName = queueName || this.getCurrentQueueFromSession();
         this.backupFile = `queue-backup-${this.queueName}.json`;
         this.data = this.getDefaultData();
+        this.onConflict = null; // Called with the server state when a save is rejected as stale
+        this.stale = false; // True when the server could not be reached and local data is shown
+        this.lastSynced = null;
+        this.counterId = null; // The service counter this distributor calls tickets to
+        this.staffName = null; // Recorded on the tickets this distributor calls and serves
+        this.hasSession = false; // Set by the distributor page; only a logged-in distributor may write a missing backup
+
+        // Operations made while the server is unreachable wait in an IndexedDB outbox (pages that load offline-outbox.js)
+        this.outbox = typeof OfflineOutbox !== 'undefined' ? new OfflineOutbox() : null;
+        this.pendingCount = 0;
+        this.syncing = false;
+        this.syncRetryInterval = null;
+        this.onSyncStatus = null; // Called with getSyncStatus() whenever it changes
+        this.onSyncReport = null; // Called with { replayed, conflicts, error } after queued operations were replayed
     }
 
     // Get current queue name from session or URL
@@ -28,123 +42,619 @@ class SimpleQueueBackup {
     // Initialize and load existing backup
     async init() {
         try {
-            await this.loadBackup();
+            // With operations still queued the local copy is ahead of the server, so never trust a 304 for it
+            await this.refreshPendingCount();
+            await this.loadBackup({ conditional: this.pendingCount === 0 });
             console.log(`Backup system initialized for queue: ${this.queueName}`);
         } catch (error) {
+            if (!this.hasSession) {
+                // Patient and display pages just show the empty queue until a distributor creates it
+                console.log(`No backup found for queue: ${this.queueName}`);
+                return;
+            }
             console.log('No existing backup found, starting fresh');
             await this.saveBackup();
         }
     }
 
-    // Get default data structure
+    // Get default data structure (the document shape is defined in queue-state.js)
     getDefaultData() {
-        return {
-            queueName: this.queueName,
-            currentQueue: 0,
-            totalQueues: 0,
-            callingQueue: 0,
-            lastUpdated: new Date().toISOString(),
-            lastCalled: "-",
-            queues: []
-        };
+        return QueueState.getDefaultData(this.queueName);
     }
 
-    // Load backup from JSON file
-    async loadBackup() {
-        // Fallback to localStorage with queue-specific key
+    // Load backup from the server, falling back to localStorage when offline
+    async loadBackup({ conditional = true } = {}) {
         const localData = localStorage.getItem(`queueBackup_${this.queueName}`);
         if (localData) {
             this.data = JSON.parse(localData);
         }
+
+        // Conditional GET: the server answers 304 if our cached version is current
+        const headers = {};
+        if (localData && conditional) {
+            headers['If-None-Match'] = `"${this.data.version || 0}"`;
+        }
+
+        let response;
+        try {
+            response = await fetch(`/api/get-queue-backup/${encodeURIComponent(this.queueName)}`, {
+                headers,
+                cache: 'no-store'
+            });
+        } catch (error) {
+            console.log('Server not reachable, using localStorage copy');
+            this.markOffline();
+            return;
+        }
+
+        if (response.status === 304) {
+            this.markSynced();
+            return;
+        }
+        if (response.ok) {
+            const backup = await response.json();
+            this.applyServerState(backup.data);
+            this.markSynced();
+            return;
+        }
+        if (response.status === 404) {
+            this.markSynced();
+            throw new Error(`No server backup for queue: ${this.queueName}`);
+        }
+
+        console.warn(`Server backup load failed with status ${response.status}, using localStorage copy`);
+        this.markOffline();
+    }
+
+    // Record a successful round trip to the server
+    markSynced() {
+        this.stale = false;
+        this.lastSynced = new Date().toISOString();
+        this.notifySyncStatus();
+    }
+
+    // Record that the server could not be reached
+    markOffline() {
+        this.stale = true;
+        this.notifySyncStatus();
+    }
+
+    // 'online', 'pending' (reachable, queued operations not replayed yet) or 'offline'
+    getSyncStatus() {
+        const state = this.stale ? 'offline' : this.pendingCount > 0 ? 'pending' : 'online';
+        return { state, pending: this.pendingCount, lastSynced: this.lastSynced };
+    }
+
+    notifySyncStatus() {
+        if (this.onSyncStatus) {
+            this.onSyncStatus(this.getSyncStatus());
+        }
     }
 
-    // Save backup to both server and localStorage
+    async refreshPendingCount() {
+        if (this.outbox) {
+            try {
+                this.pendingCount = await this.outbox.count(this.queueName);
+            } catch (error) {
+                console.warn('Offline outbox unavailable:', error);
+                this.outbox = null;
+                this.pendingCount = 0;
+            }
+        }
+        this.notifySyncStatus();
+    }
+
+    // Save backup to both server and localStorage.
+    // Resolves to { saved, conflict }; on a conflict the newer server state replaces local data.
     async saveBackup() {
         this.data.lastUpdated = new Date().toISOString();
-        if (!this.data.lastCalled) {
-            this.data.lastCalled = "-";
-        }
         this.data.queueName = this.queueName;
         const jsonData = JSON.stringify(this.data, null, 2);
 
         // Always save to localStorage with queue-specific key
         localStorage.setItem(`queueBackup_${this.queueName}`, jsonData);
 
-        // Try to save to server
+        // Keep the order of queued operations: this save goes after them
+        if (this.outbox && this.pendingCount > 0) {
+            await this.queueOffline('save');
+            if (!this.stale) {
+                this.syncOutbox();
+            }
+            return { saved: false, conflict: false, queued: true };
+        }
+
+        // Try to save to server, stating which version this data was based on
         try {
-            await fetch('/api/save-queue-backup', {
+            const response = await fetch('/api/save-queue-backup', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: {
+                    'Content-Type': 'application/json',
+                    'If-Match': `"${this.data.version || 0}"`
+                },
                 body: JSON.stringify({
                     queueName: this.queueName,
                     data: this.data
                 })
             });
-            console.log(`Backup saved to server for queue: ${this.queueName}`);
+            const result = await response.json();
+
+            if (response.status === 409) {
+                console.warn(`Backup for ${this.queueName} is stale, reloading server state`);
+                if (result.state) {
+                    this.applyServerState(result.state);
+                }
+                if (this.onConflict) {
+                    this.onConflict(this.data);
+                }
+                return { saved: false, conflict: true };
+            }
+            if (!response.ok) {
+                console.warn('Server save failed:', result.error);
+                return { saved: false, conflict: false };
+            }
+
+            this.applyServerState(result.state);
+            console.log(`Backup saved to server for queue: ${this.queueName} (version ${result.version})`);
+            return { saved: true, conflict: false };
         } catch (error) {
+            this.markOffline();
+            if (this.outbox) {
+                console.log('Server not reachable, save queued until it is back');
+                await this.queueOffline('save');
+                return { saved: false, conflict: false, queued: true };
+            }
             console.log('Server save failed, using localStorage only');
+            return { saved: false, conflict: false };
         }
     }
 
-    async saveCallBackup() {
-        this.data.lastUpdated = new Date().toISOString();
-        this.data.lastCalled = new Date().toISOString();
-        this.data.queueName = this.queueName;
-        const jsonData = JSON.stringify(this.data, null, 2);
+    // Replace local data with the state returned by the server
+    applyServerState(state) {
+        this.data = state;
+        localStorage.setItem(`queueBackup_${this.queueName}`, JSON.stringify(this.data, null, 2));
+    }
 
-        // Always save to localStorage with queue-specific key
-        localStorage.setItem(`queueBackup_${this.queueName}`, jsonData);
+    // Run a queue operation on the server (it owns the counters) and adopt the new state.
+    // While the server is unreachable the operation is applied locally and queued; the result then has queued: true.
+    async postQueueAction(action, body = {}) {
+        // Keep the order of queued operations: this one goes after them
+        if (this.outbox && this.pendingCount > 0) {
+            const queued = await this.queueOffline(action, body);
+            if (!this.stale) {
+                this.syncOutbox();
+            }
+            return queued;
+        }
 
-        // Try to save to server
+        let response;
         try {
-            await fetch('/api/save-queue-backup', {
+            response = await fetch(`/api/queues/${encodeURIComponent(this.queueName)}/${action}`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    queueName: this.queueName,
-                    data: this.data
-                })
+                body: JSON.stringify(body)
             });
-            console.log(`Backup saved to server for queue: ${this.queueName}`);
         } catch (error) {
-            console.log('Server save failed, using localStorage only');
+            this.markOffline();
+            if (!this.outbox) {
+                throw error;
+            }
+            console.log(`Server not reachable, ${action} queued until it is back`);
+            return this.queueOffline(action, body);
+        }
+        const result = await response.json();
+        this.markSynced();
+
+        if (result.state) {
+            this.applyServerState(result.state);
+        }
+        if (!response.ok) {
+            const error = new Error(result.error || `Queue ${action} failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
         }
+        return result;
     }
 
-    // Add new queue and save backup
-    async addQueue(queueNumber) {
-        const queue = {
-            id: Date.now(),
-            number: queueNumber,
-            timestamp: new Date().toISOString(),
-            served: false
-        };
+    // Apply an operation to the local copy and store it in the outbox for replay.
+    // The local version is bumped like the server would, so each operation records the version it expects.
+    async queueOffline(action, body = {}) {
+        const expectedVersion = this.data.version || 0;
+        const serviceId = body.service === undefined ? null : body.service;
+        let next = JSON.parse(JSON.stringify(this.data));
+        let ticket = null;
+
+        if (action === 'tickets') {
+            ticket = QueueState.issueTicket(next, new Date(), serviceId, body.priority === true);
+        } else if (action === 'call-next') {
+            const handler = { counterId: next.counters.length > 0 ? this.counterId : null, staff: this.staffName };
+            ticket = QueueState.callNext(next, new Date(), handler, serviceId);
+            if (!ticket) {
+                const error = new Error('No more queues to call');
+                error.status = 409;
+                throw error;
+            }
+        } else if (action === 'reset') {
+            next = QueueState.reset(next);
+        } else if (action.startsWith('tickets/')) {
+            const [, ticketId, ticketAction] = action.split('/');
+            const handles = ['call', 'recall', 'serve'].includes(ticketAction);
+            const counterId = handles && next.counters.length > 0 ? this.counterId : null;
+            const staff = handles ? this.staffName : null;
+            try {
+                ticket = QueueState.updateTicket(next, Number(ticketId), ticketAction, { counterId, staff, positions: body.positions });
+            } catch (error) {
+                error.status = error.statusCode;
+                throw error;
+            }
+        }
 
-        this.data.queues.push(queue);
-        this.data.currentQueue = queueNumber;
-        this.data.totalQueues = this.data.queues.filter(q => !q.served).length;
+        await this.outbox.add({
+            queueName: this.queueName,
+            action,
+            expectedVersion,
+            body,
+            ticketNumber: ticket ? ticket.number : null,
+            ticketLabel: ticket ? QueueState.getTicketLabel(ticket) : null,
+            data: action === 'save' ? next : null,
+            createdAt: new Date().toISOString()
+        });
 
-        await this.saveBackup();
-        return queue;
+        next.version = expectedVersion + 1;
+        this.data = next;
+        localStorage.setItem(`queueBackup_${this.queueName}`, JSON.stringify(this.data, null, 2));
+        await this.refreshPendingCount();
+        return { ticket, state: this.data, queued: true };
     }
 
-    // End queue and save backup
-    async endQueue(queueNumber) {
-        const queue = this.data.queues.find(q => q.number === queueNumber && !q.served);
-        if (queue) {
-            queue.served = true;
-            this.data.callingQueue = queueNumber;
-            this.data.totalQueues = this.data.queues.filter(q => !q.served).length;
+    // Send one queued operation; expectedVersion null sends it without If-Match
+    async sendOperation(operation, expectedVersion) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (expectedVersion !== null) {
+            headers['If-Match'] = `"${expectedVersion}"`;
         }
 
-        await this.saveCallBackup();
-        return queue;
+        const isSave = operation.action === 'save';
+        const response = await fetch(isSave ? '/api/save-queue-backup' : `/api/queues/${encodeURIComponent(this.queueName)}/${operation.action}`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(isSave ? { queueName: this.queueName, data: operation.data } : operation.body || {})
+        });
+        const result = await response.json().catch(() => ({}));
+        return { response, result };
+    }
+
+    // How a queued operation is named in the sync report
+    describeOperation(operation) {
+        if (operation.action.startsWith('tickets/')) {
+            return `Offline ${operation.action.split('/')[2]} of queue ${operation.ticketLabel}`;
+        }
+        switch (operation.action) {
+            case 'tickets':
+                return `Offline ticket ${operation.ticketLabel || operation.ticketNumber}`;
+            case 'call-next':
+                return `Offline call of queue ${operation.ticketLabel || operation.ticketNumber}`;
+            case 'reset':
+                return 'Offline reset';
+            default:
+                return 'Offline changes';
+        }
     }
 
-    // Reset all queues and save backup
+    // Replay queued operations in order. Each is sent with the version it was based on; once the
+    // server turns out to have moved on, tickets are still issued (a patient may hold the number) while
+    // calls, resets and saves are dropped. Every difference is reported through onSyncReport.
+    async syncOutbox() {
+        if (!this.outbox || this.syncing) {
+            return null;
+        }
+        this.syncing = true;
+
+        const report = { replayed: 0, conflicts: [], error: null };
+        try {
+            const operations = await this.outbox.list(this.queueName);
+            let inOrder = true;
+
+            for (const operation of operations) {
+                const label = this.describeOperation(operation);
+                if (!inOrder && operation.action !== 'tickets') {
+                    report.conflicts.push(`${label} was not applied because the queue changed on the server`);
+                    await this.outbox.remove(operation.id);
+                    continue;
+                }
+
+                let response;
+                let result;
+                try {
+                    ({ response, result } = await this.sendOperation(operation, inOrder ? operation.expectedVersion : null));
+                    if (response.status === 409 && result.conflict) {
+                        inOrder = false;
+                        if (operation.action === 'tickets') {
+                            ({ response, result } = await this.sendOperation(operation, null));
+                        }
+                    }
+                } catch (error) {
+                    // Still unreachable: keep this and the remaining operations for the next attempt
+                    this.markOffline();
+                    break;
+                }
+                this.markSynced();
+
+                if (response.status === 401 || response.status === 403) {
+                    // Kept until the distributor logs in again
+                    report.error = result.error || 'Login required';
+                    break;
+                }
+
+                if (response.ok) {
+                    report.replayed++;
+                    const issuedLabel = result.ticket ? QueueState.getTicketLabel(result.ticket) : null;
+                    if (operation.action === 'tickets' && issuedLabel && issuedLabel !== (operation.ticketLabel || String(operation.ticketNumber))) {
+                        report.conflicts.push(`${label} was issued as number ${issuedLabel}`);
+                    }
+                } else if (result.conflict) {
+                    report.conflicts.push(`${label} was not applied because the queue changed on the server`);
+                } else {
+                    report.conflicts.push(`${label} was not applied: ${result.error || `status ${response.status}`}`);
+                }
+                await this.outbox.remove(operation.id);
+            }
+        } catch (error) {
+            console.error('Offline sync failed:', error);
+            report.error = error.message;
+        } finally {
+            this.syncing = false;
+        }
+
+        await this.refreshPendingCount();
+        if (report.replayed > 0 || report.conflicts.length > 0) {
+            // Our local copy was ahead of the server; take the server's state as it is now
+            await this.loadBackup({ conditional: false });
+        }
+        if (this.onSyncReport && (report.replayed > 0 || report.conflicts.length > 0 || report.error)) {
+            this.onSyncReport(report);
+        }
+        return report;
+    }
+
+    // Replay the outbox when the browser reconnects and keep checking while offline or behind
+    startSync(retryMs = 15000) {
+        window.addEventListener('online', () => this.syncOutbox());
+        window.addEventListener('offline', () => this.markOffline());
+
+        this.syncRetryInterval = setInterval(() => {
+            if (this.pendingCount > 0) {
+                this.syncOutbox();
+            } else if (this.stale) {
+                this.loadBackup();
+            }
+        }, retryMs);
+
+        if (this.pendingCount > 0) {
+            this.syncOutbox();
+        }
+    }
+
+    // Issue a new ticket (in one of the queue's services, if it has them; priority tickets are called
+    // ahead of others as the queue's calling policy says); resolves to { ticket, token, state }
+    async issueTicket(serviceId = null, priority = false) {
+        const body = serviceId === null ? {} : { service: serviceId };
+        if (priority) {
+            body.priority = true;
+        }
+        return this.postQueueAction('tickets', body);
+    }
+
+    // Call the next waiting ticket (of one service, or of any when serviceId is null); resolves to { ticket, state }
+    async callNext(serviceId = null) {
+        return this.postQueueAction('call-next', serviceId === null ? {} : { service: serviceId });
+    }
+
+    // Reset all queues on the server
     async resetQueues() {
-        this.data = this.getDefaultData();
-        await this.saveBackup();
+        return this.postQueueAction('reset');
+    }
+
+    // Call a waiting ticket out of turn ('call') or move a called one on: 'serve', 'complete', 'no-show',
+    // 'recall' (announce it again) or 'requeue' (with positions);
+    // resolves to { ticket, state }
+    async updateTicket(ticketId, action, positions = undefined) {
+        return this.postQueueAction(`tickets/${ticketId}/${action}`, positions === undefined ? {} : { positions });
+    }
+
+    // Replace the queue's service counters with a list of names
+    async saveCounters(names) {
+        const response = await fetch(`/api/queues/${encodeURIComponent(this.queueName)}/counters`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ counters: names })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || `Saving counters failed with status ${response.status}`);
+        }
+        this.applyServerState(result.state);
+        if (!this.data.counters.some(counter => counter.id === this.counterId)) {
+            this.counterId = null;
+        }
+        return result;
+    }
+
+    // Choose how priority tickets are called: { mode: 'fifo' | 'strict' | 'interleave', regularPerPriority }
+    async saveCallingPolicy(mode, regularPerPriority) {
+        const response = await fetch(`/api/queues/${encodeURIComponent(this.queueName)}/calling-policy`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ mode, regularPerPriority })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || `Saving the calling policy failed with status ${response.status}`);
+        }
+        this.applyServerState(result.state);
+        return result;
+    }
+
+    // Turn the public take-number page on or off
+    async saveSelfService(enabled) {
+        const response = await fetch(`/api/queues/${encodeURIComponent(this.queueName)}/self-service`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || `Saving the take-number page setting failed with status ${response.status}`);
+        }
+        this.applyServerState(result.state);
+        return result;
+    }
+
+    // Replace the queue's services with a list of { name, prefix, digits }
+    async saveServices(services) {
+        const response = await fetch(`/api/queues/${encodeURIComponent(this.queueName)}/services`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ services })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || `Saving services failed with status ${response.status}`);
+        }
+        this.applyServerState(result.state);
+        return result;
+    }
+
+    // Bind this distributor's session to a counter (null for none)
+    async selectCounter(counterId) {
+        const response = await fetch('/api/session/counter', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ counterId })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || `Choosing a counter failed with status ${response.status}`);
+        }
+        this.counterId = result.counterId;
+        return result;
+    }
+
+    // Name the staff member using this session (null for nobody)
+    async setStaffName(staffName) {
+        const response = await fetch('/api/session/staff', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ staffName })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || `Saving the staff name failed with status ${response.status}`);
+        }
+        this.staffName = result.staffName;
+        return result;
+    }
+
+    // Set the daily rollover time ('HH:MM' in timeZone), or turn it off with null
+    async saveRolloverSettings(rolloverTime, timeZone) {
+        const response = await fetch(`/api/queues/${encodeURIComponent(this.queueName)}/settings`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ rolloverTime, timeZone })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || `Saving settings failed with status ${response.status}`);
+        }
+        this.applyServerState(result.state);
+        return result;
+    }
+
+    // The queue's appointment book; resolves to { timeZone, appointments } (online only, it is not kept offline)
+    async getAppointments() {
+        const response = await fetch(`/api/queues/${encodeURIComponent(this.queueName)}/appointments`);
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || `Loading appointments failed with status ${response.status}`);
+        }
+        return result;
+    }
+
+    // Replace the appointment book with the day's appointments as CSV (time,name,reference[,service])
+    async importAppointments(content) {
+        const response = await fetch(`/api/queues/${encodeURIComponent(this.queueName)}/appointments`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ content })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            const error = new Error(result.error || `Importing appointments failed with status ${response.status}`);
+            error.errors = result.errors || [];
+            throw error;
+        }
+        return result;
+    }
+
+    // Check in a booked patient; resolves to { appointment, ticket, token, state }
+    async checkInAppointment(appointmentId) {
+        const response = await fetch(`/api/queues/${encodeURIComponent(this.queueName)}/appointments/${encodeURIComponent(appointmentId)}/check-in`, {
+            method: 'POST'
+        });
+        const result = await response.json();
+
+        if (result.state) {
+            this.applyServerState(result.state);
+        }
+        if (!response.ok) {
+            throw new Error(result.error || `Check-in failed with status ${response.status}`);
+        }
+        return result;
+    }
+
+    // URL that downloads the queue's full data ('json' or 'csv')
+    getExportUrl(format) {
+        return `/api/queues/${encodeURIComponent(this.queueName)}/export?format=${encodeURIComponent(format)}`;
+    }
+
+    // Check an export file without changing anything; resolves to { preview, replaces, version }
+    async previewImport(format, content) {
+        return this.postImport({ format, content }, {});
+    }
+
+    // Replace the queue with a previewed file; version must be the one the preview returned
+    async confirmImport(format, content, version) {
+        const result = await this.postImport({ format, content, confirm: true }, { 'If-Match': `"${version}"` });
+        this.applyServerState(result.state);
+        return result;
+    }
+
+    async postImport(body, headers) {
+        const response = await fetch(`/api/queues/${encodeURIComponent(this.queueName)}/import`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            if (result.state) {
+                this.applyServerState(result.state);
+            }
+            const error = new Error(result.error || `Import failed with status ${response.status}`);
+            error.status = response.status;
+            error.errors = result.errors || [];
+            throw error;
+        }
+        return result;
     }
 
     // Get current status
@@ -155,7 +665,9 @@ class SimpleQueueBackup {
             totalQueues: this.data.totalQueues,
             callingQueue: this.data.callingQueue,
             lastUpdated: this.data.lastUpdated,
-            lastCalled: this.data.lastCalled || null
+            lastCalled: this.data.lastCalled || null,
+            stale: this.stale,
+            lastSynced: this.lastSynced
         };
     }
 
@@ -163,6 +675,11 @@ class SimpleQueueBackup {
         return this.data.queues.find(q => q.number === queueNumber) || null;
     }
 
+    // A ticket by id, which unlike its number is never reused
+    getTicket(ticketId) {
+        return this.data.queues.find(q => q.id === ticketId) || null;
+    }
+
     // Delete all data - add this method to SimpleQueueBackup class
     async deleteAllData() {
         try {
@@ -0,0 +1,335 @@
+// SQLite storage: credentials, queues, tickets, appointment books and journal events in one database file.
+// Uses the built-in node:sqlite module when available, otherwise the optional better-sqlite3 package.
+
+const fs = require('fs').promises;
+const path = require('path');
+const QueueSchema = require('./queue-schema');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS credentials (
+        queue_name TEXT PRIMARY KEY,
+        entry TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS queues (
+        queue_name TEXT PRIMARY KEY,
+        state TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS tickets (
+        queue_name TEXT NOT NULL,
+        id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        number INTEGER NOT NULL,
+        ticket TEXT NOT NULL,
+        PRIMARY KEY (queue_name, id)
+    );
+    CREATE TABLE IF NOT EXISTS events (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        queue_name TEXT NOT NULL,
+        at TEXT NOT NULL,
+        type TEXT NOT NULL,
+        event TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS events_by_queue ON events (queue_name, seq);
+    CREATE TABLE IF NOT EXISTS history (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        queue_name TEXT NOT NULL,
+        business_day TEXT NOT NULL,
+        entry TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS history_by_queue ON history (queue_name, seq);
+    CREATE TABLE IF NOT EXISTS appointments (
+        queue_name TEXT PRIMARY KEY,
+        book TEXT NOT NULL
+    );
+`;
+
+// Open a database with whichever SQLite driver is installed
+function openDatabase(filename) {
+    try {
+        const { DatabaseSync } = require('node:sqlite');
+        return new DatabaseSync(filename);
+    } catch (error) {
+        if (error.code !== 'ERR_UNKNOWN_BUILTIN_MODULE' && error.code !== 'MODULE_NOT_FOUND') {
+            throw error;
+        }
+    }
+
+    try {
+        const Database = require('better-sqlite3');
+        return new Database(filename);
+    } catch (error) {
+        if (error.code === 'MODULE_NOT_FOUND') {
+            throw new Error('SQLite storage needs Node.js 22.5+ (node:sqlite) or the better-sqlite3 package (npm install better-sqlite3)');
+        }
+        throw error;
+    }
+}
+
+class SqliteStorage {
+    constructor(options = {}) {
+        this.filename = options.sqliteFile || 'queue-data.sqlite';
+        this.db = null;
+
+        // Rolling copies of the database made with VACUUM INTO
+        this.snapshotDir = options.snapshotDir || 'queue-snapshots';
+        this.snapshotRetention = options.snapshotRetention || 10;
+        this.dirty = false;
+    }
+
+    // Open the database (restoring the newest snapshot if it is damaged) and create the schema
+    async init() {
+        this.db = await this.openVerified();
+        this.db.exec('PRAGMA journal_mode = WAL');
+        this.db.exec(SCHEMA);
+        await this.upgradeStoredDocuments();
+    }
+
+    // Rewrite queues saved under an older schema version in the current one
+    async upgradeStoredDocuments() {
+        for (const queueName of await this.listQueues()) {
+            try {
+                const { data, migrated } = QueueSchema.upgradeQueue(queueName, await this.readQueueRow(queueName));
+                if (migrated) {
+                    await this.saveQueue(queueName, data);
+                    console.log(`⬆️ Upgraded queue "${queueName}" to schema version ${data.schemaVersion}`);
+                }
+            } catch (error) {
+                console.error(`❌ Queue "${queueName}" could not be upgraded: ${error.message}`);
+            }
+        }
+    }
+
+    async close() {
+        if (this.db) {
+            await this.takeSnapshots();
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    describe() {
+        return [`🗄️ SQLite database: ${this.filename}`];
+    }
+
+    // Run statements in one transaction
+    transaction(work) {
+        this.db.exec('BEGIN');
+        try {
+            const result = work();
+            this.db.exec('COMMIT');
+            this.dirty = true;
+            return result;
+        } catch (error) {
+            this.db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    // ===== Credentials =====
+
+    async listCredentials() {
+        const credentials = {};
+        for (const row of this.db.prepare('SELECT queue_name, entry FROM credentials ORDER BY queue_name').all()) {
+            credentials[row.queue_name] = JSON.parse(row.entry);
+        }
+        return credentials;
+    }
+
+    async getCredential(queueName) {
+        const row = this.db.prepare('SELECT entry FROM credentials WHERE queue_name = ?').get(queueName);
+        return row ? JSON.parse(row.entry) : null;
+    }
+
+    async putCredential(queueName, entry) {
+        QueueSchema.assertValid(`Credentials for "${queueName}"`, QueueSchema.validateCredential(entry));
+        this.transaction(() => {
+            this.db.prepare('INSERT INTO credentials (queue_name, entry) VALUES (?, ?) ON CONFLICT (queue_name) DO UPDATE SET entry = excluded.entry')
+                .run(queueName, JSON.stringify(entry));
+        });
+    }
+
+    // Remove a queue's credentials; resolves to false if it had none
+    async deleteCredential(queueName) {
+        return this.transaction(() => this.db.prepare('DELETE FROM credentials WHERE queue_name = ?').run(queueName).changes > 0);
+    }
+
+    // ===== Queues and tickets =====
+
+    async listQueues() {
+        return this.db.prepare('SELECT queue_name FROM queues ORDER BY queue_name').all().map(row => row.queue_name);
+    }
+
+    // Read a queue's document (tickets in issue order) in the current schema, or null if it has none
+    async loadQueue(queueName) {
+        const data = await this.readQueueRow(queueName);
+        return data ? QueueSchema.upgradeQueue(queueName, data).data : null;
+    }
+
+    // A queue's document exactly as stored
+    async readQueueRow(queueName) {
+        const row = this.db.prepare('SELECT state FROM queues WHERE queue_name = ?').get(queueName);
+        if (!row) {
+            return null;
+        }
+
+        const data = JSON.parse(row.state);
+        data.queues = this.db.prepare('SELECT ticket FROM tickets WHERE queue_name = ? ORDER BY position')
+            .all(queueName)
+            .map(ticketRow => JSON.parse(ticketRow.ticket));
+        return data;
+    }
+
+    // Write a queue's document (upgraded to the current schema, rejected if invalid); resolves to what was stored
+    async saveQueue(queueName, data) {
+        const { data: stored } = QueueSchema.upgradeQueue(queueName, data);
+        const { queues = [], ...state } = stored;
+        this.transaction(() => {
+            this.db.prepare('INSERT INTO queues (queue_name, state, version, updated_at) VALUES (?, ?, ?, ?) ' +
+                'ON CONFLICT (queue_name) DO UPDATE SET state = excluded.state, version = excluded.version, updated_at = excluded.updated_at')
+                .run(queueName, JSON.stringify(state), state.version || 0, new Date().toISOString());
+
+            this.db.prepare('DELETE FROM tickets WHERE queue_name = ?').run(queueName);
+            const insertTicket = this.db.prepare('INSERT INTO tickets (queue_name, id, position, number, ticket) VALUES (?, ?, ?, ?, ?)');
+            queues.forEach((ticket, position) => {
+                insertTicket.run(queueName, ticket.id, position, ticket.number, JSON.stringify(ticket));
+            });
+        });
+        return stored;
+    }
+
+    // Delete a queue's document, tickets and appointment book (its events are kept); resolves to false if it had no document
+    async deleteQueue(queueName) {
+        return this.transaction(() => {
+            this.db.prepare('DELETE FROM tickets WHERE queue_name = ?').run(queueName);
+            this.db.prepare('DELETE FROM appointments WHERE queue_name = ?').run(queueName);
+            return this.db.prepare('DELETE FROM queues WHERE queue_name = ?').run(queueName).changes > 0;
+        });
+    }
+
+    async findTicket(queueName, ticketId) {
+        const id = Number(ticketId);
+        if (!Number.isSafeInteger(id)) {
+            return null;
+        }
+        const row = this.db.prepare('SELECT ticket FROM tickets WHERE queue_name = ? AND id = ?').get(queueName, id);
+        return row ? JSON.parse(row.ticket) : null;
+    }
+
+    // ===== Events =====
+
+    async appendEvent(queueName, event) {
+        this.db.prepare('INSERT INTO events (queue_name, at, type, event) VALUES (?, ?, ?, ?)')
+            .run(queueName, event.at, event.type, JSON.stringify(event));
+        this.dirty = true;
+    }
+
+    async readEvents(queueName) {
+        return this.db.prepare('SELECT event FROM events WHERE queue_name = ? ORDER BY seq')
+            .all(queueName)
+            .map(row => JSON.parse(row.event));
+    }
+
+    // ===== Appointment books =====
+
+    async loadAppointments(queueName) {
+        const row = this.db.prepare('SELECT book FROM appointments WHERE queue_name = ?').get(queueName);
+        return row ? JSON.parse(row.book) : [];
+    }
+
+    async saveAppointments(queueName, appointments) {
+        this.transaction(() => {
+            this.db.prepare('INSERT INTO appointments (queue_name, book) VALUES (?, ?) ON CONFLICT (queue_name) DO UPDATE SET book = excluded.book')
+                .run(queueName, JSON.stringify(appointments));
+        });
+    }
+
+    // ===== Daily history =====
+
+    async appendHistory(queueName, entry) {
+        this.db.prepare('INSERT INTO history (queue_name, business_day, entry) VALUES (?, ?, ?)')
+            .run(queueName, entry.businessDay, JSON.stringify(entry));
+        this.dirty = true;
+    }
+
+    async readHistory(queueName) {
+        return this.db.prepare('SELECT entry FROM history WHERE queue_name = ? ORDER BY seq')
+            .all(queueName)
+            .map(row => JSON.parse(row.entry));
+    }
+
+    // ===== Snapshots and recovery =====
+
+    // Copy the database aside if anything changed since the last run
+    async takeSnapshots() {
+        if (!this.dirty) {
+            return 0;
+        }
+        this.dirty = false;
+
+        await fs.mkdir(this.snapshotDir, { recursive: true });
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const snapshotPath = path.join(this.snapshotDir, `queue-data-${timestamp}.sqlite`);
+        this.db.prepare('VACUUM INTO ?').run(snapshotPath);
+
+        const snapshots = await this.listSnapshots();
+        for (const oldSnapshot of snapshots.slice(this.snapshotRetention)) {
+            await fs.unlink(path.join(this.snapshotDir, oldSnapshot));
+        }
+        return 1;
+    }
+
+    // List database snapshots, newest first
+    async listSnapshots() {
+        try {
+            const files = await fs.readdir(this.snapshotDir);
+            return files.filter(file => /^queue-data-.+\.sqlite$/.test(file)).sort().reverse();
+        } catch {
+            return [];
+        }
+    }
+
+    // Open the database, replacing it with the newest healthy snapshot if it fails its integrity check
+    async openVerified() {
+        const db = openDatabase(this.filename);
+        if (this.isHealthy(db)) {
+            return db;
+        }
+        db.close();
+
+        console.error(`❌ ${this.filename} is corrupt, looking for a snapshot to recover from`);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        await fs.rename(this.filename, `${this.filename}.corrupt-${timestamp}`);
+        for (const suffix of ['-wal', '-shm']) {
+            await fs.unlink(this.filename + suffix).catch(() => {});
+        }
+
+        for (const snapshot of await this.listSnapshots()) {
+            const snapshotPath = path.join(this.snapshotDir, snapshot);
+            const candidate = openDatabase(snapshotPath);
+            const healthy = this.isHealthy(candidate);
+            candidate.close();
+            if (healthy) {
+                await fs.copyFile(snapshotPath, this.filename);
+                console.log(`✅ Recovered ${this.filename} from snapshot ${snapshot}`);
+                return openDatabase(this.filename);
+            }
+            console.warn(`⚠️ Snapshot ${snapshot} is unreadable, trying an older one`);
+        }
+
+        console.error(`❌ No valid snapshot found for ${this.filename}; starting with an empty database`);
+        return openDatabase(this.filename);
+    }
+
+    isHealthy(db) {
+        try {
+            const row = db.prepare('PRAGMA integrity_check').get();
+            return row && Object.values(row)[0] === 'ok';
+        } catch {
+            return false;
+        }
+    }
+}
+
+module.exports = SqliteStorage;
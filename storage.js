@@ -0,0 +1,34 @@
+// Storage backends for the queue server.
+//
+// Every adapter implements the same async interface:
+//   init(), close(), describe()
+//   Credentials: listCredentials(), getCredential(name), putCredential(name, entry), deleteCredential(name)
+//   Queues:      listQueues(), loadQueue(name), saveQueue(name, data), deleteQueue(name)
+//                (documents are upgraded to the current schema by queue-schema.js on load and save;
+//                 saveQueue resolves to the stored document and rejects invalid ones with statusCode 422)
+//   Tickets:     findTicket(name, ticketId)
+//   Appointments: loadAppointments(name), saveAppointments(name, appointments)
+//                (kept out of the queue document, which patient pages can read)
+//   Events:      appendEvent(name, event), readEvents(name)
+//   History:     appendHistory(name, entry), readHistory(name)
+//   Snapshots:   takeSnapshots(withQueueLock)
+
+const JsonStorage = require('./json-storage');
+
+const STORAGE_TYPES = ['json', 'sqlite'];
+
+// Create the adapter named by options.type ('json' by default)
+function createStorage(options = {}) {
+    const type = options.type || 'json';
+    if (type === 'json') {
+        return new JsonStorage(options);
+    }
+    if (type === 'sqlite') {
+        // Loaded lazily so JSON deployments never need an SQLite driver
+        const SqliteStorage = require('./sqlite-storage');
+        return new SqliteStorage(options);
+    }
+    throw new Error(`Unknown storage type "${type}" (expected one of: ${STORAGE_TYPES.join(', ')})`);
+}
+
+module.exports = { createStorage, STORAGE_TYPES };
@@ -0,0 +1,99 @@
+// Public take-number page: patients scan the poster at the entrance and get a ticket without queueing at the desk
+
+class TakeNumberPage {
+    constructor() {
+        this.queueName = new URLSearchParams(window.location.search).get('queue');
+        this.busy = false;
+
+        if (!this.queueName) {
+            this.showMessage('This page needs a queue. Please scan the QR code on the poster again.');
+            document.getElementById('queueName').textContent = 'Take a Number';
+            return;
+        }
+        document.getElementById('queueName').textContent = this.queueName;
+        this.loadInfo();
+    }
+
+    getApiUrl(action) {
+        return `/api/queues/${encodeURIComponent(this.queueName)}/${action}`;
+    }
+
+    // Ask the server whether this queue issues numbers here, and for which services
+    async loadInfo() {
+        try {
+            const response = await fetch(this.getApiUrl('self-service'));
+            const info = await response.json();
+            if (!response.ok) {
+                this.showMessage(info.error || 'This queue could not be found');
+                return;
+            }
+            if (!info.enabled) {
+                this.showMessage('Taking a number online is not available for this queue. Please ask at the desk.');
+                return;
+            }
+            this.showButtons(info.services);
+        } catch (error) {
+            console.error('❌ Failed to load take-number page:', error);
+            this.showMessage('Could not reach the server. Please check your connection and try again.');
+        }
+    }
+
+    // One button per service, or a single one when the queue has no services
+    showButtons(services) {
+        const container = document.getElementById('takeNumberButtons');
+        container.innerHTML = '';
+        const choices = services.length > 0
+            ? services.map(service => ({ serviceId: service.id, text: `${service.prefix} - ${service.name}` }))
+            : [{ serviceId: null, text: 'Take a Number' }];
+
+        for (const choice of choices) {
+            const button = document.createElement('button');
+            button.className = 'btn btn-primary';
+            button.textContent = choice.text;
+            button.addEventListener('click', () => this.takeNumber(choice.serviceId));
+            container.appendChild(button);
+        }
+    }
+
+    // Get a ticket from the server and open its queue view
+    async takeNumber(serviceId) {
+        if (this.busy) return;
+        this.busy = true;
+        this.showMessage('Getting your number...');
+
+        try {
+            const response = await fetch(this.getApiUrl('self-service/tickets'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(serviceId === null ? {} : { service: serviceId })
+            });
+            const result = await response.json();
+
+            // A device that already took a number is sent back to that ticket
+            if (result.token) {
+                console.log(response.ok ? `🎟️ Took number ${result.label}` : '🎟️ Returning to the number taken earlier');
+                window.location.replace('/queue-display.html?ticket=' + encodeURIComponent(result.token));
+                return;
+            }
+            if (response.status === 429) {
+                const minutes = Math.max(1, Math.ceil(result.retryAfter / 60));
+                this.showMessage(`${result.error} (try again in about ${minutes} minute${minutes === 1 ? '' : 's'})`);
+            } else {
+                this.showMessage(result.error || `Could not take a number (status ${response.status})`);
+            }
+        } catch (error) {
+            console.error('❌ Failed to take a number:', error);
+            this.showMessage('Could not reach the server. Please check your connection and try again.');
+        }
+        this.busy = false;
+    }
+
+    showMessage(text) {
+        document.getElementById('takeNumberMessage').textContent = text;
+    }
+}
+
+// Initialize the page when it loads
+document.addEventListener('DOMContentLoaded', () => {
+    new TakeNumberPage();
+});